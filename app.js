@@ -0,0 +1,89 @@
+// app.js - LOFT.73 Shopify server: dashboard API, webhooks and local stock state
+const express = require('express');
+const cors = require('cors');
+const { requireApiKey, corsOptions } = require('./lib/auth');
+const { requestLogger } = require('./lib/logger');
+const { httpMetrics, metricsHandler } = require('./lib/metrics');
+const { errorHandler, notFoundHandler } = require('./lib/errors');
+const apiRoutes = require('./routes/api');
+const dashboardRoutes = require('./routes/dashboard');
+const { router: webhookRoutes } = require('./routes/webhooks');
+
+const app = express();
+
+// Middleware: request id + one structured log line per request, then metrics
+app.use(requestLogger());
+app.use(httpMetrics());
+app.use(cors(corsOptions()));
+
+// Webhook HMACs are computed on the raw bytes, so keep them for /webhook/* deliveries
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhook/')) req.rawBody = buf;
+  }
+}));
+
+// Everything but the status routes needs an API key; /webhook/* is authenticated by its HMAC signature instead
+const apiKeyAuth = requireApiKey();
+// EventSource cannot set headers, so the stock stream also takes ?apiKey=
+const streamAuth = requireApiKey(undefined, { allowQueryKey: true });
+app.use('/api', (req, res, next) => {
+  if (req.path === '/health') return next();
+  return (req.path === '/stock/stream' ? streamAuth : apiKeyAuth)(req, res, next);
+});
+app.use(['/shopify', '/inventory', '/catalog', '/alerts', '/webhook-status', '/metrics'], apiKeyAuth);
+
+// Root endpoint - Status
+app.get('/', (req, res) => {
+  res.json({
+    status: 'online',
+    service: 'LOFT.73 Shopify Server',
+    timestamp: new Date().toISOString(),
+    version: '1.0.0',
+    endpoints: {
+      'GET /': 'Status server',
+      'GET /api/health': 'Health check (senza API key)',
+      'POST /api/shopify/products-availability': 'Disponibilità prodotti da CSV (JSON, CSV/XLSX o job)',
+      'POST /api/shopify/products-availability/csv': 'Upload CSV fornitore con mappatura colonne',
+      'GET /api/shopify/analytics': 'Statistiche stock per brand, tipo, tag o stato',
+      'GET /api/jobs/:id': 'Stato job in background',
+      'GET /api/stock/stream': 'Variazioni stock in tempo reale (SSE, filtri: skus, vendors)',
+      'POST /api/shopify/inventory/plan': 'Anteprima aggiornamento stock su Shopify',
+      'GET /shopify/stores': 'Negozi configurati',
+      'POST /shopify/test': 'Test autenticazione Shopify (body: store)',
+      'POST /shopify/products': 'Recupera prodotti Shopify (body: store, skus)',
+      'POST /webhook/inventory': 'Webhook aggiornamenti inventario',
+      'POST /webhook/products': 'Webhook prodotti (create/update/delete)',
+      'POST /webhook/orders': 'Webhook ordini (create/paid/cancelled)',
+      'GET /inventory/stock': 'Stock locale per variante (filtri: store, sku, variantId)',
+      'GET /inventory/stock/:inventoryItemId': 'Stock locale per inventory item',
+      'GET /inventory/reserved': 'Quantità riservate da ordini aperti per SKU',
+      'GET /catalog/products': 'Catalogo locale sincronizzato via webhook',
+      'GET /alerts/low-stock': 'Articoli sotto soglia o esauriti (filtri: store, level)',
+      'GET /webhook-status': 'Status webhook attivi',
+      'GET /metrics': 'Metriche Prometheus'
+    }
+  });
+});
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+app.get('/metrics', metricsHandler);
+
+app.use(apiRoutes);
+app.use(dashboardRoutes);
+app.use(webhookRoutes);
+
+// Errors from any route (and unknown routes) answer { success: false, error: { code, message, details, upstreamStatus } }
+app.use(notFoundHandler());
+app.use(errorHandler());
+
+module.exports = app;
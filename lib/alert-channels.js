@@ -0,0 +1,123 @@
+// lib/alert-channels.js - Notification channels for stock alerts
+const fetch = require('node-fetch');
+const nodemailer = require('nodemailer');
+
+/**
+ * Resolves a secret that may be given inline or, via `<key>Env`, as the name
+ * of an environment variable.
+ */
+function secret(config, key, env = process.env) {
+  const envName = config[`${key}Env`];
+  return envName ? env[envName] : config[key];
+}
+
+function describeAlert(alert) {
+  const label = alert.sku || `inventory item ${alert.inventoryItemId}`;
+  const title = alert.title ? ` (${alert.title})` : '';
+  return alert.level === 'out'
+    ? `[${alert.store}] ${label}${title} is out of stock`
+    : `[${alert.store}] ${label}${title} is low on stock: ${alert.quantity} left (threshold ${alert.threshold})`;
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    throw new Error(`POST ${url} failed: ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Generic outgoing webhook: the alert object is posted as JSON.
+ * { type: 'webhook', url | urlEnv, headers }
+ */
+function webhookChannel(config) {
+  const url = secret(config, 'url');
+  if (!url) throw new Error('webhook channel requires url or urlEnv');
+
+  return {
+    send: alert => postJson(url, { event: 'stock_alert', message: describeAlert(alert), alert }, config.headers)
+  };
+}
+
+/**
+ * Slack incoming webhook (or any service accepting the same `{ text }` payload).
+ * { type: 'slack', webhookUrl | webhookUrlEnv, channel }
+ */
+function slackChannel(config) {
+  const webhookUrl = secret(config, 'webhookUrl');
+  if (!webhookUrl) throw new Error('slack channel requires webhookUrl or webhookUrlEnv');
+
+  return {
+    send: alert => postJson(webhookUrl, {
+      text: `${alert.level === 'out' ? ':red_circle:' : ':warning:'} ${describeAlert(alert)}`,
+      ...(config.channel ? { channel: config.channel } : {})
+    })
+  };
+}
+
+/**
+ * Email through SMTP.
+ * { type: 'email', to, from, smtp: { host, port, secure, user, pass | passEnv } }
+ */
+function emailChannel(config) {
+  const smtp = config.smtp || {};
+  if (!smtp.host || !config.to) throw new Error('email channel requires to and smtp.host');
+
+  const pass = secret(smtp, 'pass');
+  const transport = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port || 587,
+    secure: Boolean(smtp.secure),
+    auth: smtp.user ? { user: smtp.user, pass } : undefined
+  });
+
+  return {
+    send: alert => transport.sendMail({
+      from: config.from || smtp.user,
+      to: config.to,
+      subject: describeAlert(alert),
+      text: [
+        describeAlert(alert),
+        '',
+        `Store: ${alert.store}`,
+        `SKU: ${alert.sku || '-'}`,
+        `Vendor: ${alert.vendor || '-'}`,
+        `Available: ${alert.quantity}`,
+        `Threshold: ${alert.threshold}`,
+        `Since: ${alert.since}`
+      ].join('\n')
+    })
+  };
+}
+
+const CHANNEL_TYPES = {
+  webhook: webhookChannel,
+  slack: slackChannel,
+  email: emailChannel
+};
+
+/**
+ * Adds a channel type; `factory(config)` must return `{ send(alert) -> Promise }`.
+ */
+function registerChannelType(type, factory) {
+  CHANNEL_TYPES[type] = factory;
+}
+
+function createChannel(config) {
+  const factory = CHANNEL_TYPES[config.type];
+  if (!factory) throw new Error(`Unknown alert channel type: ${config.type}`);
+
+  const channel = factory(config);
+  return { type: config.type, name: config.name || config.type, send: channel.send };
+}
+
+module.exports = {
+  createChannel,
+  registerChannelType,
+  describeAlert
+};
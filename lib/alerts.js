@@ -0,0 +1,189 @@
+// lib/alerts.js - Low-stock / out-of-stock alerts raised from inventory updates
+const fs = require('fs');
+const path = require('path');
+const { createChannel, describeAlert } = require('./alert-channels');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'alerts' });
+
+const ALERTS_CONFIG_FILE = process.env.ALERTS_CONFIG_FILE ||
+  path.join(__dirname, '..', 'config', 'alerts.json');
+
+const DEFAULTS = {
+  cooldownMinutes: 60,
+  defaultThreshold: 0,
+  thresholds: [],
+  channels: []
+};
+
+let config = null;
+let channels = [];
+
+// `${store}:${inventoryItemId}` -> active alert
+const active = new Map();
+
+// `${store}:${inventoryItemId}` -> { at, level } of the last notification. Kept apart
+// from `active` so the cooldown still applies to an item that recovers and dips again.
+const lastNotified = new Map();
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Invalid alerts config ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Replaces the alert configuration:
+ *   { cooldownMinutes, defaultThreshold,
+ *     thresholds: [{ store?, sku | vendor | productType, threshold }],
+ *     channels: [{ type: 'webhook' | 'slack' | 'email', ... }] }
+ * Channels that fail to build are logged and left out.
+ */
+function configureAlerts(settings) {
+  config = { ...DEFAULTS, ...settings };
+  channels = [];
+
+  config.channels.forEach(channelConfig => {
+    try {
+      channels.push(createChannel(channelConfig));
+    } catch (error) {
+      log.error('Alert channel disabled', { channel: channelConfig.type, error: error.message });
+    }
+  });
+
+  return config;
+}
+
+function getConfig() {
+  if (!config) configureAlerts(readConfigFile(ALERTS_CONFIG_FILE));
+  return config;
+}
+
+function sameText(a, b) {
+  return a != null && b != null && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Threshold for an item: a SKU rule wins over a vendor rule, which wins over a
+ * product type rule; rules scoped to another store are skipped.
+ */
+function thresholdFor(storeId, item) {
+  const { thresholds, defaultThreshold } = getConfig();
+  const rules = thresholds.filter(rule => !rule.store || rule.store === storeId);
+
+  const bySku = rules.find(rule => rule.sku && rule.sku === item.sku);
+  if (bySku) return bySku.threshold;
+
+  const byVendor = rules.find(rule => rule.vendor && sameText(rule.vendor, item.vendor));
+  if (byVendor) return byVendor.threshold;
+
+  const byType = rules.find(rule => rule.productType && sameText(rule.productType, item.productType));
+  if (byType) return byType.threshold;
+
+  return defaultThreshold;
+}
+
+function levelFor(quantity, threshold) {
+  if (quantity <= 0) return 'out';
+  if (quantity < threshold) return 'low';
+  return null;
+}
+
+async function notify(alert) {
+  const results = await Promise.allSettled(channels.map(channel => channel.send(alert)));
+
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      log.error('Alert delivery failed', { channel: channels[i].name, error: result.reason.message });
+    }
+  });
+
+  return results.filter(result => result.status === 'fulfilled').length;
+}
+
+/**
+ * Evaluates the current stock of one item and notifies the channels when it
+ * drops below its threshold. Repeats within the cooldown are suppressed unless
+ * the item went from low to out of stock, also when it recovered in between; an
+ * item that recovers is cleared from the active alerts.
+ *
+ * item: { inventoryItemId, sku, title, vendor, productType, quantity }
+ * Returns { alert, notified } where alert is null when stock is fine.
+ */
+async function evaluateStock(storeId, item, now = new Date()) {
+  const key = `${storeId}:${item.inventoryItemId}`;
+  const threshold = thresholdFor(storeId, item);
+  const level = levelFor(item.quantity, threshold);
+  const previous = active.get(key);
+
+  if (!level) {
+    const notified = lastNotified.get(key);
+    if (notified && now - new Date(notified.at) >= getConfig().cooldownMinutes * 60 * 1000) {
+      lastNotified.delete(key);
+    }
+    if (previous) {
+      active.delete(key);
+      log.info('Stock recovered, alert cleared', { store: storeId, sku: item.sku, inventoryItemId: item.inventoryItemId, quantity: item.quantity });
+    }
+    return { alert: null, notified: false };
+  }
+
+  const alert = {
+    store: storeId,
+    inventoryItemId: item.inventoryItemId,
+    variantId: item.variantId || null,
+    sku: item.sku || null,
+    title: item.title || null,
+    vendor: item.vendor || null,
+    productType: item.productType || null,
+    quantity: item.quantity,
+    threshold,
+    level,
+    since: previous ? previous.since : now.toISOString(),
+    updatedAt: now.toISOString(),
+    lastNotifiedAt: lastNotified.has(key) ? lastNotified.get(key).at : null
+  };
+  active.set(key, alert);
+
+  const cooldownMs = getConfig().cooldownMinutes * 60 * 1000;
+  const notified = lastNotified.get(key);
+  const coolingDown = notified && now - new Date(notified.at) < cooldownMs;
+  const escalated = notified && notified.level === 'low' && level === 'out';
+
+  if (coolingDown && !escalated) {
+    alert.lastNotifiedAt = notified.at;
+    return { alert, notified: false };
+  }
+
+  log.warn(describeAlert(alert), { store: storeId, sku: alert.sku, level, quantity: item.quantity, threshold });
+  alert.lastNotifiedAt = now.toISOString();
+  lastNotified.set(key, { at: alert.lastNotifiedAt, level });
+  await notify(alert);
+  return { alert, notified: true };
+}
+
+/**
+ * Items currently below their threshold, lowest stock first.
+ */
+function listActiveAlerts({ store, level } = {}) {
+  return Array.from(active.values())
+    .filter(alert => (!store || alert.store === store) && (!level || alert.level === level))
+    .sort((a, b) => a.quantity - b.quantity);
+}
+
+function clearAlerts() {
+  active.clear();
+  lastNotified.clear();
+}
+
+module.exports = {
+  configureAlerts,
+  getConfig,
+  thresholdFor,
+  evaluateStock,
+  listActiveAlerts,
+  clearAlerts
+};
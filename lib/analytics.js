@@ -0,0 +1,225 @@
+// lib/analytics.js - Stock and value breakdown of the catalog by vendor, type, tag or status
+
+const GROUP_BY = {
+  vendor: product => [product.vendor || 'Unknown'],
+  productType: product => [product.product_type || 'Unknown'],
+  tag: product => {
+    const tags = splitTags(product.tags);
+    return tags.length ? tags : ['(untagged)'];
+  },
+  status: product => [product.status || 'unknown']
+};
+
+const SORT_FIELDS = [
+  'name', 'products', 'variants', 'unitsInStock', 'valueAtPrice', 'valueAtCost',
+  'outOfStockVariants', 'outOfStockProducts'
+];
+
+function splitTags(tags) {
+  if (Array.isArray(tags)) return tags;
+  return String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+function matchesAny(wanted, values) {
+  return !wanted.length || values.some(value => wanted.includes(String(value || '').trim().toLowerCase()));
+}
+
+/**
+ * Keeps products matching every given filter. Each filter takes one or more
+ * values (array or comma-separated), compared case-insensitively; a product
+ * passes a filter when it has any of its values. `productIds` (a Set) restricts
+ * the result to a collection's products.
+ */
+function filterProducts(products, { vendor, productType, tag, status, productIds } = {}) {
+  const vendors = toList(vendor);
+  const types = toList(productType);
+  const tags = toList(tag);
+  const statuses = toList(status);
+
+  return products.filter(product =>
+    matchesAny(vendors, [product.vendor]) &&
+    matchesAny(types, [product.product_type]) &&
+    matchesAny(tags, splitTags(product.tags)) &&
+    matchesAny(statuses, [product.status]) &&
+    (!productIds || productIds.has(String(product.id)))
+  );
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function emptyGroup(name) {
+  return {
+    name,
+    products: 0,
+    variants: 0,
+    unitsInStock: 0,
+    valueAtPrice: 0,
+    valueAtCost: 0,
+    outOfStockVariants: 0,
+    outOfStockProducts: 0,
+    untrackedVariants: 0,
+    variantsWithoutCost: 0
+  };
+}
+
+/**
+ * Figures for one product. Only variants whose inventory Shopify tracks count
+ * towards stock, value and out-of-stock; negative quantities count as zero units.
+ */
+function productFigures(product, costs) {
+  const figures = emptyGroup(null);
+  figures.products = 1;
+  let trackedVariants = 0;
+
+  (product.variants || []).forEach(variant => {
+    figures.variants++;
+
+    if (!variant.inventory_management) {
+      figures.untrackedVariants++;
+      return;
+    }
+
+    trackedVariants++;
+    const units = Math.max(Number(variant.inventory_quantity) || 0, 0);
+    figures.unitsInStock += units;
+    figures.valueAtPrice += units * (Number(variant.price) || 0);
+
+    if (units === 0) figures.outOfStockVariants++;
+
+    const cost = costs ? costs.get(String(variant.inventory_item_id)) : null;
+    if (cost === null || cost === undefined) {
+      figures.variantsWithoutCost++;
+    } else {
+      figures.valueAtCost += units * cost;
+    }
+  });
+
+  if (trackedVariants > 0 && figures.unitsInStock === 0) figures.outOfStockProducts = 1;
+  return figures;
+}
+
+function addFigures(target, figures) {
+  Object.keys(target).forEach(key => {
+    if (key !== 'name') target[key] += figures[key];
+  });
+}
+
+function finishGroup(group, withCost) {
+  return {
+    ...group,
+    valueAtPrice: round2(group.valueAtPrice),
+    valueAtCost: withCost ? round2(group.valueAtCost) : null,
+    variantsWithoutCost: withCost ? group.variantsWithoutCost : null
+  };
+}
+
+function compareGroups(sort, order) {
+  const direction = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const result = sort === 'name'
+      ? String(a.name).localeCompare(String(b.name))
+      : (a[sort] || 0) - (b[sort] || 0);
+    return result * direction || String(a.name).localeCompare(String(b.name));
+  };
+}
+
+/**
+ * Groups products and totals their stock figures.
+ *
+ * options: { groupBy: 'vendor' | 'productType' | 'tag' | 'status', costs: Map of
+ *            inventory_item_id -> cost (omit to skip values at cost),
+ *            sort: one of SORT_FIELDS, order: 'asc' | 'desc', page, pageSize }
+ * A product with several tags counts in each tag group, so tag groups do not
+ * add up to the totals.
+ */
+function buildAnalytics(products, { groupBy = 'vendor', costs = null, sort = 'unitsInStock', order, page = 1, pageSize = 50 } = {}) {
+  const keysOf = GROUP_BY[groupBy];
+  if (!keysOf) throw new Error(`groupBy must be one of: ${Object.keys(GROUP_BY).join(', ')}`);
+  if (!SORT_FIELDS.includes(sort)) throw new Error(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+
+  const groups = new Map();
+  const totals = emptyGroup(null);
+
+  products.forEach(product => {
+    const figures = productFigures(product, costs);
+    addFigures(totals, figures);
+
+    // "LOFT.73" and "Loft.73 " are the same vendor; the first spelling seen names the group
+    keysOf(product).forEach(name => {
+      const key = String(name).trim().toLowerCase();
+      if (!groups.has(key)) groups.set(key, emptyGroup(String(name).trim()));
+      addFigures(groups.get(key), figures);
+    });
+  });
+
+  const sorted = Array.from(groups.values())
+    .sort(compareGroups(sort, order || (sort === 'name' ? 'asc' : 'desc')));
+  const start = (page - 1) * pageSize;
+  const { name, ...totalFigures } = finishGroup(totals, Boolean(costs));
+
+  return {
+    groupBy,
+    sort,
+    order: order || (sort === 'name' ? 'asc' : 'desc'),
+    page,
+    pageSize,
+    totalGroups: sorted.length,
+    totalPages: Math.max(1, Math.ceil(sorted.length / pageSize)),
+    totals: totalFigures,
+    groups: sorted.slice(start, start + pageSize).map(group => finishGroup(group, Boolean(costs)))
+  };
+}
+
+/**
+ * Product ids of a custom or smart collection given by id or handle.
+ * Returns null when no such collection exists.
+ */
+async function fetchCollectionProductIds(client, collection) {
+  let collectionId = /^\d+$/.test(String(collection)) ? String(collection) : null;
+
+  if (!collectionId) {
+    for (const kind of ['custom_collections', 'smart_collections']) {
+      const found = await client.get(`${kind}.json`, { handle: collection, fields: 'id,handle' });
+      if (found[kind] && found[kind].length) {
+        collectionId = String(found[kind][0].id);
+        break;
+      }
+    }
+    if (!collectionId) return null;
+  }
+
+  try {
+    const products = await client.getAll(`collections/${collectionId}/products.json`, 'products', { fields: 'id' });
+    return new Set(products.map(product => String(product.id)));
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+function collectTrackedInventoryItemIds(products) {
+  const ids = [];
+  products.forEach(product => {
+    (product.variants || []).forEach(variant => {
+      if (variant.inventory_management && variant.inventory_item_id) ids.push(variant.inventory_item_id);
+    });
+  });
+  return ids;
+}
+
+module.exports = {
+  buildAnalytics,
+  filterProducts,
+  fetchCollectionProductIds,
+  collectTrackedInventoryItemIds,
+  GROUP_BY,
+  SORT_FIELDS
+};
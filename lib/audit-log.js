@@ -0,0 +1,46 @@
+// lib/audit-log.js - Append-only record of stock changes pushed to Shopify
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE ||
+  path.join(__dirname, '..', 'data', 'audit.jsonl');
+
+/**
+ * Appends one JSON line per entry. Synchronous on purpose: each record is on
+ * disk before the next change is pushed to Shopify.
+ */
+function appendAudit(entries) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (!list.length) return;
+
+  fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+  fs.appendFileSync(AUDIT_LOG_FILE, list.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+}
+
+/**
+ * Most recent entries first, optionally filtered by store, sku or actor.
+ */
+function readAudit({ limit = 100, store, sku, actor } = {}) {
+  let lines;
+  try {
+    lines = fs.readFileSync(AUDIT_LOG_FILE, 'utf8').split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    const entry = JSON.parse(lines[i]);
+    if (store && entry.store !== store) continue;
+    if (sku && entry.sku !== sku) continue;
+    if (actor && entry.actor !== actor) continue;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+module.exports = {
+  appendAudit,
+  readAudit
+};
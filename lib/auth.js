@@ -0,0 +1,95 @@
+// lib/auth.js - API key authentication and CORS origins for the dashboard API
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { ApiError } = require('./errors');
+
+const log = logger.child({ module: 'auth' });
+
+/**
+ * Parses API_KEYS ("dashboard:key1,ops:key2") into [{ name, key }].
+ * A bare key without a name is called "default".
+ */
+function loadApiKeys(value = process.env.API_KEYS) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+        : { name: 'default', key: entry };
+    });
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function findApiKey(apiKeys, presented) {
+  if (!presented) return null;
+  // Compare fixed-length digests so the check does not leak key length or prefix timing
+  const presentedDigest = digest(presented);
+  return apiKeys.find(entry => crypto.timingSafeEqual(digest(entry.key), presentedDigest)) || null;
+}
+
+function presentedKey(req, allowQueryKey) {
+  const header = req.get('X-API-Key');
+  if (header) return header;
+
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+
+  return allowQueryKey && typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+}
+
+/**
+ * Express middleware accepting `X-API-Key: <key>` or `Authorization: Bearer <key>`.
+ * With `allowQueryKey`, `?apiKey=<key>` is accepted too, for browser EventSource
+ * connections that cannot send headers. Sets req.auth = { name } so handlers
+ * can record who made a change.
+ */
+function requireApiKey(apiKeys = loadApiKeys(), { allowQueryKey = false } = {}) {
+  return (req, res, next) => {
+    if (!apiKeys.length) {
+      log.error('API_KEYS not configured, rejecting request', { path: req.originalUrl.split('?')[0] });
+      return next(new ApiError(500, 'AUTH_NOT_CONFIGURED', 'API authentication not configured'));
+    }
+
+    const entry = findApiKey(apiKeys, presentedKey(req, allowQueryKey));
+    if (!entry) {
+      return next(new ApiError(401, 'UNAUTHORIZED', 'Missing or invalid API key'));
+    }
+
+    req.auth = { name: entry.name };
+    next();
+  };
+}
+
+/**
+ * CORS options from CORS_ORIGINS (comma-separated). Without it, cross-origin
+ * requests are refused; `*` is only honoured without credentials.
+ */
+function corsOptions(value = process.env.CORS_ORIGINS) {
+  const origins = String(value || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  if (origins.includes('*')) {
+    return { origin: '*', credentials: false };
+  }
+
+  return {
+    origin: origins.length ? origins : false,
+    credentials: true,
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  };
+}
+
+module.exports = {
+  loadApiKeys,
+  requireApiKey,
+  corsOptions
+};
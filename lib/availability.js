@@ -0,0 +1,187 @@
+// lib/availability.js - Resolves matched CSV rows to variant-level availability
+const { matchRows } = require('./matcher');
+const { describeLevels } = require('./inventory-levels');
+
+function variantOptions(product, variant) {
+  const options = {};
+  (product.options || []).forEach((option, i) => {
+    const value = variant[`option${option.position || i + 1}`];
+    if (value !== undefined && value !== null) options[option.name] = value;
+  });
+  return options;
+}
+
+/**
+ * Compact, dashboard-friendly view of a single variant.
+ */
+function compactVariant(product, variant) {
+  return {
+    variantId: variant.id,
+    inventoryItemId: variant.inventory_item_id,
+    sku: variant.sku || null,
+    title: variant.title,
+    options: variantOptions(product, variant),
+    price: variant.price,
+    quantity: variant.inventory_quantity === undefined ? null : variant.inventory_quantity,
+    inventoryPolicy: variant.inventory_policy
+  };
+}
+
+/**
+ * Picks the variant a row refers to: the one its SKU matched, or the only one the product has.
+ */
+function resolveVariant(match) {
+  if (match.variant) return match.variant;
+  const variants = match.product.variants || [];
+  return variants.length === 1 ? variants[0] : null;
+}
+
+function toResult(match, { includeProduct }) {
+  const { product } = match;
+  const variant = resolveVariant(match);
+  const variants = product.variants || [];
+
+  const result = {
+    rowIndex: match.rowIndex,
+    csvSku: String(match.csvProduct.sku || '').trim() || null,
+    csvProduct: match.csvProduct,
+    product: {
+      id: product.id,
+      title: product.title,
+      vendor: product.vendor,
+      handle: product.handle
+    },
+    resolvedTo: variant ? 'variant' : 'product',
+    variant: variant ? compactVariant(product, variant) : null,
+    // Without a specific variant, report every size so the row never shows a misleading total
+    variants: variant ? undefined : variants.map(v => compactVariant(product, v)),
+    available: variant
+      ? variant.inventory_quantity || 0
+      : variants.reduce((total, v) => total + (v.inventory_quantity || 0), 0),
+    match: {
+      strategy: match.strategy,
+      confidence: match.confidence,
+      candidates: match.candidates
+    }
+  };
+
+  if (includeProduct) result.shopifyProduct = product;
+  return result;
+}
+
+function describeUnresolved(row) {
+  return {
+    rowIndex: row.rowIndex,
+    csvSku: String(row.csvProduct.sku || '').trim() || null,
+    csvProduct: row.csvProduct,
+    status: row.status,
+    candidates: row.candidates
+  };
+}
+
+/**
+ * Matches CSV rows against the catalog and builds the availability response body.
+ * The raw Shopify product is only attached when `includeProduct` is set.
+ */
+async function buildAvailability(products, csvProducts, { includeProduct = false, onProgress, brandPrefixes, rulesForVendor } = {}) {
+  const { matched, ambiguous, unmatched } = await matchRows(products, csvProducts, { onProgress, brandPrefixes, rulesForVendor });
+  const matchRate = csvProducts.length
+    ? ((matched.length / csvProducts.length) * 100).toFixed(1)
+    : '0.0';
+
+  return {
+    results: matched.map(match => toResult(match, { includeProduct })),
+    ambiguous: ambiguous.map(describeUnresolved),
+    unmatched: unmatched.map(describeUnresolved),
+    stats: {
+      totalCsvProducts: csvProducts.length,
+      totalShopifyProducts: products.length,
+      matchedProducts: matched.length,
+      resolvedToVariant: matched.filter(match => resolveVariant(match)).length,
+      ambiguousProducts: ambiguous.length,
+      unmatchedProducts: unmatched.length,
+      matchRate
+    }
+  };
+}
+
+/**
+ * Inventory item ids of every variant referenced by the availability results.
+ */
+function collectInventoryItemIds(availability) {
+  const ids = [];
+  availability.results.forEach(result => {
+    (result.variant ? [result.variant] : result.variants).forEach(v => ids.push(v.inventoryItemId));
+  });
+  return ids;
+}
+
+/**
+ * Replaces the all-locations totals with per-location stock for the selected locations.
+ * `available` then only counts those locations, so a shop-only filter answers
+ * "available in the shop" rather than "available anywhere".
+ */
+function applyLocationLevels(availability, levels, locations) {
+  const annotate = compact => {
+    const { locations: perLocation, available } = describeLevels(levels.get(String(compact.inventoryItemId)), locations);
+    compact.locations = perLocation;
+    compact.quantity = available;
+    return available;
+  };
+
+  availability.results.forEach(result => {
+    result.available = result.variant
+      ? annotate(result.variant)
+      : result.variants.reduce((total, v) => total + annotate(v), 0);
+  });
+
+  availability.locations = locations.map(location => ({ id: location.id, name: location.name }));
+  return availability;
+}
+
+/**
+ * Lines the availability of several stores up per CSV row, e.g. main store vs outlet.
+ */
+function compareStores(csvProducts, availabilityByStore) {
+  const outcomes = {};
+  Object.entries(availabilityByStore).forEach(([storeId, availability]) => {
+    const byRow = new Map();
+    availability.results.forEach(result => byRow.set(result.rowIndex, {
+      status: 'matched',
+      available: result.available,
+      productId: result.product.id,
+      variantId: result.variant ? result.variant.variantId : null
+    }));
+    availability.ambiguous.concat(availability.unmatched).forEach(row => {
+      byRow.set(row.rowIndex, { status: row.status, available: null, productId: null, variantId: null });
+    });
+    outcomes[storeId] = byRow;
+  });
+
+  return csvProducts.map((csvProduct, rowIndex) => {
+    const stores = {};
+    let totalAvailable = 0;
+
+    Object.entries(outcomes).forEach(([storeId, byRow]) => {
+      const outcome = byRow.get(rowIndex);
+      stores[storeId] = outcome;
+      totalAvailable += (outcome && outcome.available) || 0;
+    });
+
+    return {
+      rowIndex,
+      csvSku: String(csvProduct.sku || '').trim() || null,
+      name: csvProduct.name,
+      stores,
+      totalAvailable
+    };
+  });
+}
+
+module.exports = {
+  buildAvailability,
+  compareStores,
+  collectInventoryItemIds,
+  applyLocationLevels,
+  compactVariant
+};
@@ -0,0 +1,115 @@
+// lib/catalog-bulk.js - Full catalog export through a GraphQL bulk operation, in the REST product shape
+const { runBulkQuery, readJsonl } = require('./shopify-bulk');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'catalog-bulk' });
+
+// Bulk queries flatten nested connections: variants come back as their own
+// lines, linked to their product by __parentId
+const PRODUCTS_QUERY = `{
+  products {
+    edges {
+      node {
+        id legacyResourceId title handle vendor productType status tags createdAt updatedAt
+        options { name position }
+        featuredImage { url }
+        variants {
+          edges {
+            node {
+              id legacyResourceId title sku barcode price compareAtPrice position
+              inventoryPolicy inventoryQuantity
+              selectedOptions { name value }
+              inventoryItem { legacyResourceId tracked }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+// gid://shopify/Product/123 -> 123
+function legacyId(node) {
+  return Number(node.legacyResourceId || String(node.id).split('/').pop());
+}
+
+function normalizeProduct(node) {
+  return {
+    id: legacyId(node),
+    title: node.title,
+    handle: node.handle,
+    vendor: node.vendor,
+    product_type: node.productType,
+    status: String(node.status || '').toLowerCase(),
+    tags: (node.tags || []).join(', '),
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    options: (node.options || []).map(option => ({ name: option.name, position: option.position })),
+    images: node.featuredImage ? [{ src: node.featuredImage.url }] : [],
+    variants: []
+  };
+}
+
+function normalizeVariant(node, productId) {
+  const options = node.selectedOptions || [];
+  const inventoryItem = node.inventoryItem || {};
+
+  return {
+    id: legacyId(node),
+    product_id: productId,
+    title: node.title,
+    sku: node.sku,
+    barcode: node.barcode,
+    price: node.price,
+    compare_at_price: node.compareAtPrice,
+    position: node.position,
+    option1: options[0] ? options[0].value : null,
+    option2: options[1] ? options[1].value : null,
+    option3: options[2] ? options[2].value : null,
+    inventory_item_id: inventoryItem.legacyResourceId ? Number(inventoryItem.legacyResourceId) : null,
+    inventory_quantity: node.inventoryQuantity,
+    inventory_management: inventoryItem.tracked ? 'shopify' : null,
+    inventory_policy: String(node.inventoryPolicy || '').toLowerCase()
+  };
+}
+
+/**
+ * Exports every product with its variants in one bulk operation and returns them
+ * shaped like REST `products.json` items, which is what the catalog cache,
+ * matcher and analytics work with.
+ * `onProgress({ status, objectCount })` follows the operation while it runs.
+ */
+async function fetchCatalogBulk(client, { onProgress, ...bulkOptions } = {}) {
+  const url = await runBulkQuery(client, PRODUCTS_QUERY, { ...bulkOptions, onProgress });
+  if (!url) return [];
+
+  // product gid -> normalized product
+  const products = new Map();
+  const orphans = [];
+
+  for await (const node of readJsonl(url)) {
+    if (!node.__parentId) {
+      products.set(node.id, normalizeProduct(node));
+      continue;
+    }
+
+    const product = products.get(node.__parentId);
+    if (product) product.variants.push(normalizeVariant(node, product.id));
+    else orphans.push(node);
+  }
+
+  // Children normally follow their parent; keep any that came first
+  orphans.forEach(node => {
+    const product = products.get(node.__parentId);
+    if (product) product.variants.push(normalizeVariant(node, product.id));
+    else log.warn('Bulk result variant without product, skipped', { shop: client.storeUrl, variant: node.id });
+  });
+
+  return Array.from(products.values());
+}
+
+module.exports = {
+  fetchCatalogBulk,
+  normalizeProduct,
+  normalizeVariant
+};
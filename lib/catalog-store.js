@@ -0,0 +1,242 @@
+// lib/catalog-store.js - Local product catalog, persisted to a JSON file on disk
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'catalog-store' });
+
+const CATALOG_CACHE_DIR = process.env.CATALOG_CACHE_DIR || path.join(__dirname, '..', 'data');
+
+// Batch webhook-driven writes instead of rewriting the file on every delivery
+const SAVE_DEBOUNCE_MS = 2000;
+
+/**
+ * Creates the catalog of one store, cached in `<CATALOG_CACHE_DIR>/catalog-<storeId>.json`.
+ */
+function createCatalogStore(storeId, { file = path.join(CATALOG_CACHE_DIR, `catalog-${storeId}.json`) } = {}) {
+  // product id -> Shopify product (REST shape)
+  const products = new Map();
+
+  const meta = {
+    lastSyncedAt: null,
+    lastFullSyncAt: null
+  };
+
+  let loaded = false;
+  let saveTimer = null;
+
+  function load() {
+    if (loaded) return;
+    loaded = true;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      (data.products || []).forEach(product => products.set(String(product.id), product));
+      meta.lastSyncedAt = data.lastSyncedAt || null;
+      meta.lastFullSyncAt = data.lastFullSyncAt || null;
+      log.info('Catalog cache loaded', { store: storeId, products: products.size, lastSyncedAt: meta.lastSyncedAt });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Could not read catalog cache, starting empty', { store: storeId, error: error.message });
+      }
+    }
+  }
+
+  function save() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+
+    const data = JSON.stringify({
+      lastSyncedAt: meta.lastSyncedAt,
+      lastFullSyncAt: meta.lastFullSyncAt,
+      products: Array.from(products.values())
+    });
+
+    // Write then rename so a crash mid-write never leaves a truncated cache
+    const tmpFile = `${file}.tmp`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmpFile, data);
+    fs.renameSync(tmpFile, file);
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        save();
+      } catch (error) {
+        log.error('Catalog cache save failed', { store: storeId, error: error.message });
+      }
+    }, SAVE_DEBOUNCE_MS);
+    saveTimer.unref();
+  }
+
+  function applyProduct(product) {
+    if (!product || product.id === undefined || product.id === null) {
+      throw new Error('Invalid product payload: missing id');
+    }
+
+    const id = String(product.id);
+    const current = products.get(id);
+
+    // Ignore out-of-order deliveries of an older version of the product
+    if (current && current.updated_at && product.updated_at &&
+        new Date(current.updated_at) > new Date(product.updated_at)) {
+      return { applied: false, product: current };
+    }
+
+    products.set(id, product);
+    return { applied: true, product };
+  }
+
+  function upsertProduct(product) {
+    load();
+    const result = applyProduct(product);
+    if (result.applied) scheduleSave();
+    return result;
+  }
+
+  function removeProduct(productId) {
+    load();
+    const id = String(productId);
+    const product = products.get(id) || null;
+    products.delete(id);
+    if (product) scheduleSave();
+    return product;
+  }
+
+  /**
+   * Replaces the whole catalog with the result of a full sync.
+   */
+  function replaceAll(allProducts, syncedAt) {
+    load();
+    products.clear();
+    allProducts.forEach(product => products.set(String(product.id), product));
+    meta.lastSyncedAt = syncedAt;
+    meta.lastFullSyncAt = syncedAt;
+    save();
+  }
+
+  /**
+   * Merges products changed since the last sync.
+   */
+  function mergeUpdates(updatedProducts, syncedAt) {
+    load();
+    updatedProducts.forEach(applyProduct);
+    meta.lastSyncedAt = syncedAt;
+    save();
+  }
+
+  function getProduct(productId) {
+    load();
+    return products.get(String(productId)) || null;
+  }
+
+  function listProducts() {
+    load();
+    return Array.from(products.values());
+  }
+
+  /**
+   * One page of products in id order, starting after product id `after`.
+   * `nextCursor` is the id to pass as `after` for the next page, null on the last one.
+   */
+  function listProductsPage({ after = null, limit }) {
+    load();
+    const ids = Array.from(products.keys())
+      .filter(id => after === null || Number(id) > Number(after))
+      .sort((a, b) => Number(a) - Number(b));
+    const page = ids.slice(0, limit);
+
+    return {
+      products: page.map(id => products.get(id)),
+      nextCursor: ids.length > limit ? page[page.length - 1] : null
+    };
+  }
+
+  function findVariantBySku(sku) {
+    return findVariant(v => v.sku === sku);
+  }
+
+  function findVariant(predicate) {
+    load();
+    for (const product of products.values()) {
+      const variant = (product.variants || []).find(predicate);
+      if (variant) return { product, variant };
+    }
+    return null;
+  }
+
+  function findVariantById(variantId) {
+    const id = String(variantId);
+    return findVariant(v => String(v.id) === id);
+  }
+
+  function findVariantByInventoryItemId(inventoryItemId) {
+    const id = String(inventoryItemId);
+    return findVariant(v => String(v.inventory_item_id) === id);
+  }
+
+  /**
+   * Sets the cached total stock of a variant. Stock changes do not bump the product's
+   * updated_at, so incremental syncs miss them: inventory webhooks keep it current instead.
+   */
+  function setVariantQuantity(inventoryItemId, quantity) {
+    const match = findVariantByInventoryItemId(inventoryItemId);
+    if (!match || match.variant.inventory_quantity === quantity) return match;
+
+    match.variant.inventory_quantity = quantity;
+    scheduleSave();
+    return match;
+  }
+
+  function size() {
+    load();
+    return products.size;
+  }
+
+  function getMeta() {
+    load();
+    const ageSeconds = meta.lastSyncedAt
+      ? Math.round((Date.now() - new Date(meta.lastSyncedAt).getTime()) / 1000)
+      : null;
+
+    return {
+      lastSyncedAt: meta.lastSyncedAt,
+      lastFullSyncAt: meta.lastFullSyncAt,
+      ageSeconds,
+      products: products.size
+    };
+  }
+
+  function clear() {
+    products.clear();
+    meta.lastSyncedAt = null;
+    meta.lastFullSyncAt = null;
+  }
+
+  return {
+    storeId,
+    upsertProduct,
+    removeProduct,
+    replaceAll,
+    mergeUpdates,
+    getProduct,
+    listProducts,
+    listProductsPage,
+    findVariantBySku,
+    findVariantById,
+    findVariantByInventoryItemId,
+    setVariantQuantity,
+    size,
+    getMeta,
+    clear
+  };
+}
+
+module.exports = {
+  createCatalogStore
+};
@@ -0,0 +1,152 @@
+// lib/catalog-sync.js - Full and incremental sync of a store's local catalog from Shopify
+const { fetchCatalogBulk } = require('./catalog-bulk');
+const { JobCancelledError } = require('./jobs');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'catalog-sync' });
+
+// How old the cache may be before a request triggers an incremental refresh
+const CATALOG_MAX_AGE_SECONDS = Number(process.env.CATALOG_MAX_AGE_SECONDS || 300);
+// Deleted products never show up in updated_at_min queries, so resync fully now and then
+const CATALOG_FULL_SYNC_HOURS = Number(process.env.CATALOG_FULL_SYNC_HOURS || 24);
+// Overlap incremental windows to absorb clock skew between us and Shopify
+const INCREMENTAL_OVERLAP_MS = 60 * 1000;
+
+// store id -> promise of the sync currently running for that store
+const inFlight = new Map();
+
+async function fetchProductCount(client) {
+  const data = await client.get('products/count.json');
+  return data.count;
+}
+
+function fetchProducts(client, updatedAtMin, { totalPages = null, onProgress, checkCancelled } = {}) {
+  return client.getAll('products.json', 'products', { updated_at_min: updatedAtMin }, ({ page, total }) => {
+    log.debug('Fetched catalog page', { page, totalPages, products: total });
+    if (checkCancelled) checkCancelled();
+    if (onProgress) onProgress({ page, totalPages, products: total });
+  });
+}
+
+/**
+ * Fetches the whole catalog with the store's fetcher. A bulk export that cannot
+ * run (one already in progress, missing scope, failed or timed out) falls back
+ * to paginated REST so a sync never fails on the bulk path alone; a cancelled
+ * one does not.
+ */
+async function fetchAllProducts(store, { onProgress, checkCancelled } = {}) {
+  const { client, catalogFetcher = 'bulk' } = store;
+
+  if (catalogFetcher === 'bulk') {
+    try {
+      const products = await fetchCatalogBulk(client, {
+        onProgress: ({ status, objectCount }) => {
+          if (checkCancelled) checkCancelled();
+          if (onProgress) {
+            onProgress({
+              page: null,
+              totalPages: null,
+              products: null,
+              message: `Bulk export ${status.toLowerCase()}, ${objectCount} objects`
+            });
+          }
+        }
+      });
+      return { products, fetcher: 'bulk' };
+    } catch (error) {
+      if (error instanceof JobCancelledError) throw error;
+      log.warn('Bulk catalog export failed, falling back to REST', { store: store.id, error: error.message });
+    }
+  }
+
+  const totalPages = Math.max(1, Math.ceil((await fetchProductCount(client)) / 250));
+  const products = await fetchProducts(client, null, { totalPages, onProgress, checkCancelled });
+  return { products, fetcher: 'rest' };
+}
+
+async function fullSync(store, options) {
+  const { catalog } = store;
+  const syncedAt = new Date().toISOString();
+  log.info('Full catalog sync started', { store: catalog.storeId, fetcher: store.catalogFetcher });
+
+  const { products, fetcher } = await fetchAllProducts(store, options);
+  catalog.replaceAll(products, syncedAt);
+
+  log.info('Full catalog sync complete', { store: catalog.storeId, fetcher, products: products.length });
+  return { mode: 'full', fetcher, fetched: products.length };
+}
+
+async function incrementalSync(store, options) {
+  const { client, catalog } = store;
+  const { lastSyncedAt } = catalog.getMeta();
+  const syncedAt = new Date().toISOString();
+  const updatedAtMin = new Date(new Date(lastSyncedAt).getTime() - INCREMENTAL_OVERLAP_MS).toISOString();
+  log.info('Incremental catalog sync started', { store: catalog.storeId, updatedAtMin });
+
+  const products = await fetchProducts(client, updatedAtMin, options);
+  catalog.mergeUpdates(products, syncedAt);
+
+  // A count mismatch means products were deleted (or missed): fall back to a full sync
+  const remoteCount = await fetchProductCount(client);
+  if (remoteCount !== catalog.size()) {
+    log.warn('Catalog count mismatch, running full sync', { store: catalog.storeId, local: catalog.size(), shopify: remoteCount });
+    return fullSync(store, options);
+  }
+
+  log.info('Incremental catalog sync complete', { store: catalog.storeId, updated: products.length });
+  return { mode: 'incremental', fetcher: 'rest', fetched: products.length };
+}
+
+function chooseMode(catalog, requested) {
+  const meta = catalog.getMeta();
+
+  if (requested === 'full' || !meta.lastSyncedAt || !meta.lastFullSyncAt) return 'full';
+
+  const fullSyncAgeMs = Date.now() - new Date(meta.lastFullSyncAt).getTime();
+  if (fullSyncAgeMs > CATALOG_FULL_SYNC_HOURS * 60 * 60 * 1000) return 'full';
+
+  if (requested === 'incremental' || meta.ageSeconds > CATALOG_MAX_AGE_SECONDS) return 'incremental';
+
+  return null;
+}
+
+/**
+ * Makes sure the store's local catalog is recent enough and returns its metadata.
+ * `refresh` may be 'full' or 'incremental' to force a sync regardless of cache age.
+ * Concurrent callers for the same store share the in-flight sync; only the caller
+ * that started it receives `onProgress({ page, totalPages, products, message })` updates
+ * (bulk exports have no pages and only report a message).
+ * `checkCancelled()` runs after every page or bulk poll; when it throws
+ * JobCancelledError the sync stops there and leaves the cache as it was.
+ */
+async function ensureFreshCatalog(store, { refresh, onProgress, checkCancelled } = {}) {
+  const { catalog } = store;
+
+  if (inFlight.has(store.id)) {
+    const finished = await inFlight.get(store.id).then(() => true, error => {
+      // The caller that started it was cancelled: not a failure for the ones waiting
+      if (error instanceof JobCancelledError) return false;
+      throw error;
+    });
+    if (!finished) return ensureFreshCatalog(store, { refresh, onProgress, checkCancelled });
+    if (!refresh) return { ...catalog.getMeta(), sync: null };
+  }
+
+  const mode = chooseMode(catalog, refresh);
+  if (!mode) return { ...catalog.getMeta(), sync: null };
+
+  const options = { onProgress, checkCancelled };
+  const sync = mode === 'full' ? fullSync(store, options) : incrementalSync(store, options);
+  inFlight.set(store.id, sync);
+
+  try {
+    return { ...catalog.getMeta(), sync: await sync };
+  } finally {
+    inFlight.delete(store.id);
+  }
+}
+
+module.exports = {
+  ensureFreshCatalog,
+  fetchProductCount
+};
@@ -0,0 +1,220 @@
+// lib/csv.js - Parsing of supplier CSV/TSV files into matcher rows
+const iconv = require('iconv-lite');
+const { ApiError } = require('./errors');
+
+const DELIMITERS = [';', ',', '\t'];
+
+function invalidCsv(message) {
+  return new ApiError(400, 'INVALID_CSV', message);
+}
+
+// Header names suppliers commonly use for each field, compared case- and accent-insensitively
+const COLUMN_ALIASES = {
+  name: ['name', 'nome', 'descrizione', 'description', 'title', 'titolo', 'prodotto', 'product', 'articolo'],
+  sku: ['sku', 'codice', 'code', 'cod', 'codice articolo', 'item code', 'riferimento'],
+  quantity: ['quantity', 'qty', 'qta', 'quantita', 'giacenza', 'stock', 'disponibilita'],
+  brand: ['brand', 'marca', 'vendor', 'fornitore', 'marchio']
+};
+
+/**
+ * Decodes an uploaded buffer. Honours BOMs and an explicit encoding; otherwise
+ * uses UTF-8 when the bytes are valid UTF-8 and falls back to Windows-1252,
+ * which is what most Italian supplier exports use.
+ */
+function decodeBuffer(buffer, encoding) {
+  if (encoding) {
+    if (!iconv.encodingExists(encoding)) throw invalidCsv(`Unsupported encoding: ${encoding}`);
+    return { text: iconv.decode(buffer, encoding), encoding };
+  }
+
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: iconv.decode(buffer.slice(3), 'utf8'), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: iconv.decode(buffer.slice(2), 'utf16le'), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: iconv.decode(buffer.slice(2), 'utf16be'), encoding: 'utf-16be' };
+  }
+
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { text, encoding: 'utf-8' };
+  } catch (error) {
+    return { text: iconv.decode(buffer, 'win1252'), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * Picks the delimiter that appears most often (outside quotes) in the first line.
+ */
+function detectDelimiter(text) {
+  let inQuotes = false;
+  const counts = { ';': 0, ',': 0, '\t': 0 };
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === '\n' || char === '\r')) break;
+    else if (!inQuotes && char in counts) counts[char]++;
+  }
+
+  return DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ';');
+}
+
+/**
+ * RFC 4180 parser: quoted fields, doubled quotes and line breaks inside quotes.
+ * Returns an array of rows, each an array of raw string fields.
+ */
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function normalizeHeader(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Resolves a mapping of field -> header name or 0-based column index against the header row.
+ * Fields left out are guessed from COLUMN_ALIASES.
+ */
+function resolveColumns(header, mapping = {}) {
+  const normalized = header.map(normalizeHeader);
+  const columns = {};
+
+  Object.keys(COLUMN_ALIASES).forEach(field => {
+    const wanted = mapping[field];
+
+    if (wanted !== undefined && wanted !== null && wanted !== '') {
+      const index = /^\d+$/.test(String(wanted))
+        ? Number(wanted)
+        : normalized.indexOf(normalizeHeader(wanted));
+
+      if (index < 0 || index >= header.length) {
+        throw invalidCsv(`Column "${wanted}" for ${field} not found in CSV header`);
+      }
+      columns[field] = index;
+      return;
+    }
+
+    const guessed = normalized.findIndex(h => COLUMN_ALIASES[field].includes(h));
+    if (guessed >= 0) columns[field] = guessed;
+  });
+
+  if (columns.name === undefined && columns.sku === undefined) {
+    throw invalidCsv('CSV needs a name or SKU column; pass a column mapping');
+  }
+
+  return columns;
+}
+
+/**
+ * Parses quantities like "12", "1.234" or "3,00" into numbers.
+ */
+function parseQuantity(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const normalized = /,\d{1,2}$/.test(text)
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/[.,](?=\d{3}\b)/g, '');
+  const number = Number(normalized);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Turns an uploaded CSV/TSV buffer into matcher rows ({ name, sku, quantity, brand, columns }).
+ * `columns` keeps the original values keyed by header so results can be exported as-is.
+ */
+function parseProductsCsv(buffer, { delimiter, encoding, mapping } = {}) {
+  const decoded = decodeBuffer(buffer, encoding);
+  const usedDelimiter = delimiter || detectDelimiter(decoded.text);
+  const [header, ...rows] = parseCsv(decoded.text, usedDelimiter);
+
+  if (!header) throw invalidCsv('CSV file is empty');
+
+  const columns = resolveColumns(header, mapping);
+  const headers = header.map(h => h.trim());
+
+  const products = rows.map(row => {
+    const product = {
+      name: columns.name !== undefined ? (row[columns.name] || '').trim() : '',
+      sku: columns.sku !== undefined ? (row[columns.sku] || '').trim() : ''
+    };
+    if (columns.quantity !== undefined) product.quantity = parseQuantity(row[columns.quantity]);
+    if (columns.brand !== undefined) product.brand = (row[columns.brand] || '').trim();
+
+    product.columns = {};
+    headers.forEach((name, i) => {
+      product.columns[name || `column_${i + 1}`] = row[i] === undefined ? '' : row[i];
+    });
+    return product;
+  });
+
+  const mapped = {};
+  Object.entries(columns).forEach(([field, index]) => {
+    mapped[field] = headers[index];
+  });
+
+  return {
+    products,
+    headers,
+    meta: {
+      encoding: decoded.encoding,
+      delimiter: usedDelimiter,
+      columns: mapped,
+      rows: products.length
+    }
+  };
+}
+
+module.exports = {
+  parseProductsCsv,
+  parseCsv,
+  detectDelimiter,
+  decodeBuffer,
+  parseQuantity
+};
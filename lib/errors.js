@@ -0,0 +1,132 @@
+// lib/errors.js - API error envelope and the mapping of Shopify failures to HTTP statuses
+const { ShopifyApiError } = require('./shopify-client');
+const { BulkOperationError } = require('./shopify-bulk');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'errors' });
+
+/**
+ * An error answered to the client as
+ *   { success: false, error: { code, message, details, upstreamStatus } }
+ * `upstreamStatus` is the Shopify status behind the error, if any.
+ */
+class ApiError extends Error {
+  constructor(status, code, message, { details = null, upstreamStatus = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+function badRequest(message, details = null) {
+  return new ApiError(400, 'VALIDATION_FAILED', message, { details });
+}
+
+function notFound(message) {
+  return new ApiError(404, 'NOT_FOUND', message);
+}
+
+function conflict(message, details = null) {
+  return new ApiError(409, 'CONFLICT', message, { details });
+}
+
+/**
+ * Maps a failed Shopify call to what we answer: a rejected token is a 401, rate
+ * limiting a 429 and anything else (5xx, network, GraphQL errors) a 502, since
+ * the problem is upstream rather than in the request.
+ */
+function fromShopifyError(error) {
+  const upstreamStatus = error.status || null;
+  const options = { upstreamStatus, details: typeof error.body === 'string' ? error.body.slice(0, 500) || null : error.body || null };
+
+  if (upstreamStatus === 401) {
+    return new ApiError(401, 'SHOPIFY_UNAUTHORIZED', 'Shopify rejected the access token', options);
+  }
+  if (upstreamStatus === 429) {
+    return new ApiError(429, 'SHOPIFY_RATE_LIMITED', 'Shopify rate limit exceeded, retry later', options);
+  }
+  if (upstreamStatus === 404) {
+    return new ApiError(404, 'SHOPIFY_NOT_FOUND', 'Not found in Shopify', options);
+  }
+  if (!upstreamStatus && !error.body) {
+    return new ApiError(502, 'SHOPIFY_UNAVAILABLE', error.message, options);
+  }
+  if (upstreamStatus >= 500) {
+    return new ApiError(502, 'SHOPIFY_UNAVAILABLE', `Shopify is unavailable (${upstreamStatus})`, options);
+  }
+  return new ApiError(502, 'SHOPIFY_ERROR', error.message, options);
+}
+
+/**
+ * Normalizes anything thrown in a route into an ApiError; errors we do not know are 500s.
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+  if (error instanceof ShopifyApiError) return fromShopifyError(error);
+  if (error instanceof BulkOperationError) {
+    return new ApiError(502, 'SHOPIFY_ERROR', error.message, { details: { status: error.status, errorCode: error.errorCode } });
+  }
+
+  // body-parser and multer
+  if (error.type === 'entity.parse.failed') return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  if (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+  if (error.name === 'MulterError') return badRequest(error.message);
+
+  // The message of an unexpected error can carry internals (file paths, stack
+  // details): it goes to the log only, the client gets the request id to quote
+  return new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+}
+
+function errorBody(apiError) {
+  return {
+    success: false,
+    error: {
+      code: apiError.code,
+      message: apiError.message,
+      details: apiError.details,
+      upstreamStatus: apiError.upstreamStatus
+    }
+  };
+}
+
+/**
+ * Last middleware of the app: answers every error with the envelope.
+ */
+function errorHandler() {
+  return (error, req, res, next) => {
+    const apiError = toApiError(error);
+
+    if (apiError.status >= 500) {
+      log.error('Request failed', { code: apiError.code, upstreamStatus: apiError.upstreamStatus, err: error });
+    } else if (apiError.upstreamStatus) {
+      log.warn('Shopify request failed', { code: apiError.code, upstreamStatus: apiError.upstreamStatus, error: error.message });
+    }
+
+    if (res.headersSent) return next(error);
+    if (error.retryAfter) res.set('Retry-After', error.retryAfter);
+    res.status(apiError.status).json(errorBody(apiError));
+  };
+}
+
+/**
+ * Answers requests no route matched.
+ */
+function notFoundHandler() {
+  return (req, res, next) => next(notFound(`No route for ${req.method} ${req.path}`));
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  notFound,
+  conflict,
+  toApiError,
+  errorBody,
+  errorHandler,
+  notFoundHandler
+};
@@ -0,0 +1,147 @@
+// lib/export.js - CSV/XLSX export of availability results
+const ExcelJS = require('exceljs');
+
+const RESULT_COLUMNS = [
+  'Shopify Title',
+  'Variant SKU',
+  'Variant',
+  'Available',
+  'Match Strategy',
+  'Confidence',
+  'Status',
+  'Candidates'
+];
+
+function originalColumns(csvProduct) {
+  if (csvProduct.columns) return csvProduct.columns;
+
+  // Rows posted as JSON have no original file columns: export their own fields
+  const { columns, ...fields } = csvProduct;
+  return fields;
+}
+
+/**
+ * One export row per input line, in input order: the original columns followed
+ * by the match outcome. Ambiguous and unmatched rows are included too.
+ */
+function buildExportTable(availability, csvProducts) {
+  const byRow = new Map();
+  availability.results.forEach(result => byRow.set(result.rowIndex, { status: 'matched', result }));
+  availability.ambiguous.concat(availability.unmatched).forEach(row => {
+    byRow.set(row.rowIndex, { status: row.status, row });
+  });
+
+  const inputHeaders = [];
+  csvProducts.forEach(csvProduct => {
+    Object.keys(originalColumns(csvProduct)).forEach(key => {
+      if (!inputHeaders.includes(key)) inputHeaders.push(key);
+    });
+  });
+
+  const rows = csvProducts.map((csvProduct, rowIndex) => {
+    const original = originalColumns(csvProduct);
+    const outcome = byRow.get(rowIndex) || { status: 'unmatched', row: { candidates: [] } };
+    const values = inputHeaders.map(key => (original[key] === undefined || original[key] === null ? '' : original[key]));
+
+    if (outcome.status === 'matched') {
+      const { result } = outcome;
+      values.push(
+        result.product.title,
+        result.variant ? result.variant.sku || '' : '',
+        result.variant ? result.variant.title || '' : '',
+        result.available,
+        result.match.strategy,
+        result.match.confidence,
+        result.resolvedTo === 'variant' ? 'matched' : 'matched (product)',
+        ''
+      );
+    } else {
+      values.push(
+        '',
+        '',
+        '',
+        '',
+        '',
+        '',
+        outcome.status,
+        (outcome.row.candidates || []).map(c => `${c.title} (${c.score})`).join(' | ')
+      );
+    }
+
+    return values;
+  });
+
+  return { headers: inputHeaders.concat(RESULT_COLUMNS), rows };
+}
+
+// Text cells starting with these are run as formulas by Excel and other spreadsheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Supplier titles and SKUs come from uploaded files: a leading ' keeps a text
+ * like "=HYPERLINK(...)" from running when the CSV is opened. Numbers are left alone.
+ */
+function neutralizeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+function csvField(value, delimiter) {
+  const text = value === undefined || value === null ? '' : String(neutralizeFormula(value));
+  return /["\r\n]/.test(text) || text.includes(delimiter)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * CSV with a UTF-8 BOM and `;` delimiter, which is what Excel expects with Italian locale settings.
+ */
+function toCsv({ headers, rows }, delimiter = ';') {
+  const lines = [headers].concat(rows).map(row => row.map(value => csvField(value, delimiter)).join(delimiter));
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+async function toXlsx({ headers, rows }) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Availability');
+
+  // exceljs stores strings as text cells, never as formulas, so they need no escaping
+  sheet.addRow(headers).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: headers.length } };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: toCsv },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    render: toXlsx
+  }
+};
+
+/**
+ * Renders availability results as a downloadable file.
+ * Resolves to { buffer, contentType, filename }.
+ */
+async function exportAvailability(availability, csvProducts, format) {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unsupported export format: ${format}`);
+
+  const buffer = await spec.render(buildExportTable(availability, csvProducts));
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+
+  return {
+    buffer,
+    contentType: spec.contentType,
+    filename: `availability-${stamp}.${spec.extension}`
+  };
+}
+
+module.exports = {
+  exportAvailability,
+  buildExportTable,
+  EXPORT_FORMATS: Object.keys(FORMATS)
+};
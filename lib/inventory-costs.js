@@ -0,0 +1,55 @@
+// lib/inventory-costs.js - Unit costs of inventory items, cached per store
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'inventory-costs' });
+
+// inventory_items.json accepts at most 100 ids per call
+const INVENTORY_ITEMS_PER_CALL = 100;
+// Costs change rarely; keep them longer than the catalog cache
+const COST_CACHE_MINUTES = Number(process.env.COST_CACHE_MINUTES || 360);
+
+// store id -> Map of inventory_item_id -> { cost, fetchedAt }
+const caches = new Map();
+
+function storeCache(storeId) {
+  if (!caches.has(storeId)) caches.set(storeId, new Map());
+  return caches.get(storeId);
+}
+
+/**
+ * Returns a Map of inventory_item_id (string) -> unit cost (number, or null when
+ * no cost is set in Shopify). Only items missing from the cache, or cached longer
+ * than COST_CACHE_MINUTES, are fetched.
+ */
+async function fetchInventoryCosts(store, inventoryItemIds, { refresh = false } = {}) {
+  const cache = storeCache(store.id);
+  const maxAgeMs = COST_CACHE_MINUTES * 60 * 1000;
+  const now = Date.now();
+
+  const ids = Array.from(new Set(inventoryItemIds.filter(Boolean).map(String)));
+  const missing = ids.filter(id => {
+    const entry = cache.get(id);
+    return refresh || !entry || now - entry.fetchedAt > maxAgeMs;
+  });
+
+  for (let i = 0; i < missing.length; i += INVENTORY_ITEMS_PER_CALL) {
+    const chunk = missing.slice(i, i + INVENTORY_ITEMS_PER_CALL);
+    const items = await store.client.getAll('inventory_items.json', 'inventory_items', { ids: chunk });
+
+    chunk.forEach(id => cache.set(id, { cost: null, fetchedAt: now }));
+    items.forEach(item => {
+      const cost = item.cost === null || item.cost === undefined ? null : Number(item.cost);
+      cache.set(String(item.id), { cost: Number.isFinite(cost) ? cost : null, fetchedAt: now });
+    });
+  }
+
+  if (missing.length) {
+    log.info('Fetched inventory item costs', { store: store.id, fetched: missing.length, cached: ids.length - missing.length });
+  }
+
+  return new Map(ids.map(id => [id, cache.get(id).cost]));
+}
+
+module.exports = {
+  fetchInventoryCosts
+};
@@ -0,0 +1,79 @@
+// lib/inventory-levels.js - Per-location stock via the InventoryLevel API
+const { ApiError } = require('./errors');
+
+// inventory_levels.json accepts at most 50 inventory item ids per call
+const INVENTORY_ITEMS_PER_CALL = 50;
+
+function fetchLocations(client) {
+  return client.getAll('locations.json', 'locations');
+}
+
+/**
+ * Resolves a location filter given as ids or names (case-insensitive) to location objects.
+ * An empty filter means every active location.
+ */
+function resolveLocations(locations, filter) {
+  const active = locations.filter(location => location.active !== false);
+  if (!filter || !filter.length) return active;
+
+  const wanted = filter.map(value => String(value).trim().toLowerCase());
+  const resolved = active.filter(location =>
+    wanted.includes(String(location.id)) || wanted.includes(String(location.name).toLowerCase())
+  );
+
+  if (resolved.length !== wanted.length) {
+    const known = new Set(resolved.flatMap(l => [String(l.id), String(l.name).toLowerCase()]));
+    const missing = wanted.filter(value => !known.has(value));
+    throw new ApiError(400, 'UNKNOWN_LOCATION', `Unknown location(s): ${missing.join(', ')}`, { details: { missing } });
+  }
+
+  return resolved;
+}
+
+/**
+ * Fetches stock for the given inventory items at the given locations.
+ * Returns a Map of inventory_item_id (string) -> { [locationId]: available }.
+ */
+async function fetchInventoryLevels(client, inventoryItemIds, locationIds) {
+  const ids = Array.from(new Set(inventoryItemIds.filter(Boolean).map(String)));
+  const levels = new Map();
+
+  for (let i = 0; i < ids.length; i += INVENTORY_ITEMS_PER_CALL) {
+    const chunk = ids.slice(i, i + INVENTORY_ITEMS_PER_CALL);
+    const rows = await client.getAll('inventory_levels.json', 'inventory_levels', {
+      inventory_item_ids: chunk,
+      location_ids: locationIds
+    });
+
+    rows.forEach(row => {
+      const itemId = String(row.inventory_item_id);
+      if (!levels.has(itemId)) levels.set(itemId, {});
+      levels.get(itemId)[row.location_id] = row.available === null ? 0 : row.available;
+    });
+  }
+
+  return levels;
+}
+
+/**
+ * Shapes the levels of one inventory item for the given locations, plus their total.
+ */
+function describeLevels(levels, locations) {
+  const perLocation = locations.map(location => ({
+    locationId: location.id,
+    locationName: location.name,
+    available: (levels && levels[location.id]) || 0
+  }));
+
+  return {
+    locations: perLocation,
+    available: perLocation.reduce((total, level) => total + level.available, 0)
+  };
+}
+
+module.exports = {
+  fetchLocations,
+  resolveLocations,
+  fetchInventoryLevels,
+  describeLevels
+};
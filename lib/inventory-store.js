@@ -0,0 +1,222 @@
+// lib/inventory-store.js - Local stock records fed by inventory webhooks
+
+// Released orders are only remembered to ignore late orders/create deliveries;
+// Shopify stops retrying a webhook after 48 hours
+const RELEASED_ORDER_TTL_HOURS = Number(process.env.RELEASED_ORDER_TTL_HOURS || 48);
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function toId(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function sumLocations(locations) {
+  return Object.values(locations).reduce((total, level) => total + (level.available || 0), 0);
+}
+
+function orderLines(order) {
+  const lines = {};
+  (order.line_items || []).forEach(item => {
+    if (!item.sku) return;
+    lines[item.sku] = (lines[item.sku] || 0) + (Number(item.quantity) || 0);
+  });
+  return lines;
+}
+
+/**
+ * Creates the webhook-fed stock state of one store.
+ */
+function createInventoryStore() {
+  // inventory_item_id -> { inventoryItemId, variantId, sku, locations, available, updatedAt }
+  const records = new Map();
+
+  // sku -> units reserved by open (unpaid) orders
+  const reservedBySku = new Map();
+
+  // order id -> { status: 'reserved' | 'released', lines: { sku: quantity }, releasedAt }
+  const orderReservations = new Map();
+  let lastPrunedAt = 0;
+
+  function getOrCreate(inventoryItemId) {
+    let record = records.get(inventoryItemId);
+    if (!record) {
+      record = {
+        inventoryItemId,
+        variantId: null,
+        sku: null,
+        locations: {},
+        available: 0,
+        updatedAt: null
+      };
+      records.set(inventoryItemId, record);
+    }
+    return record;
+  }
+
+  /**
+   * Applies an inventory_levels/update payload.
+   * Returns { applied: false } when the event is older than what we already hold,
+   * since Shopify does not guarantee delivery order; otherwise `previous` is the
+   * location's quantity before the update (null if it was not known).
+   */
+  function applyInventoryLevel(payload) {
+    const inventoryItemId = toId(payload && payload.inventory_item_id);
+    const locationId = toId(payload && payload.location_id);
+
+    if (!inventoryItemId || !locationId) {
+      throw new Error('Invalid inventory level payload: missing inventory_item_id or location_id');
+    }
+
+    const record = getOrCreate(inventoryItemId);
+    const updatedAt = payload.updated_at || new Date().toISOString();
+    const current = record.locations[locationId];
+
+    if (current && current.updatedAt && new Date(current.updatedAt) > new Date(updatedAt)) {
+      return { applied: false, record };
+    }
+
+    const previous = current ? current.available : null;
+    record.locations[locationId] = {
+      available: payload.available === null || payload.available === undefined ? 0 : Number(payload.available),
+      updatedAt
+    };
+    record.available = sumLocations(record.locations);
+    record.updatedAt = updatedAt;
+
+    return { applied: true, record, previous };
+  }
+
+  /**
+   * Attaches variant identity to an inventory item so records can be looked up by SKU.
+   */
+  function linkVariant(inventoryItemId, { variantId, sku }) {
+    const record = getOrCreate(toId(inventoryItemId));
+    record.variantId = toId(variantId);
+    record.sku = sku || null;
+    return record;
+  }
+
+  function getRecord(inventoryItemId) {
+    return records.get(toId(inventoryItemId)) || null;
+  }
+
+  function findRecords({ sku, variantId } = {}) {
+    return Array.from(records.values()).filter(record => {
+      if (sku && record.sku !== sku) return false;
+      if (variantId && record.variantId !== toId(variantId)) return false;
+      return true;
+    });
+  }
+
+  function adjustReserved(sku, delta) {
+    const next = (reservedBySku.get(sku) || 0) + delta;
+    if (next > 0) {
+      reservedBySku.set(sku, next);
+    } else {
+      reservedBySku.delete(sku);
+    }
+  }
+
+  /**
+   * Forgets orders released more than RELEASED_ORDER_TTL_HOURS ago. Runs at most
+   * once a minute, from the order handlers, so the map does not grow forever.
+   */
+  function pruneReleasedOrders(now = Date.now()) {
+    if (now - lastPrunedAt < PRUNE_INTERVAL_MS) return 0;
+    lastPrunedAt = now;
+
+    const cutoff = now - RELEASED_ORDER_TTL_HOURS * 60 * 60 * 1000;
+    let pruned = 0;
+    for (const [orderId, reservation] of orderReservations) {
+      if (reservation.status === 'released' && reservation.releasedAt < cutoff) {
+        orderReservations.delete(orderId);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Reserves the order's line items per SKU (orders/create).
+   * An order that was already paid or cancelled is not reserved again.
+   */
+  function reserveOrder(order) {
+    const orderId = toId(order && order.id);
+    if (!orderId) throw new Error('Invalid order payload: missing id');
+    pruneReleasedOrders();
+
+    if (orderReservations.has(orderId)) {
+      return { changed: false, lines: orderReservations.get(orderId).lines };
+    }
+
+    const lines = orderLines(order);
+    Object.entries(lines).forEach(([sku, quantity]) => adjustReserved(sku, quantity));
+    orderReservations.set(orderId, { status: 'reserved', lines });
+
+    return { changed: true, lines };
+  }
+
+  /**
+   * Releases whatever the order still holds (orders/paid, orders/cancelled).
+   * If the order was never seen, it is remembered as released so a late
+   * orders/create delivery does not reserve it.
+   */
+  function releaseOrder(order) {
+    const orderId = toId(order && order.id);
+    if (!orderId) throw new Error('Invalid order payload: missing id');
+    pruneReleasedOrders();
+
+    const reservation = orderReservations.get(orderId);
+
+    if (!reservation) {
+      orderReservations.set(orderId, { status: 'released', lines: orderLines(order), releasedAt: Date.now() });
+      return { changed: false, lines: {} };
+    }
+
+    if (reservation.status === 'released') {
+      return { changed: false, lines: {} };
+    }
+
+    Object.entries(reservation.lines).forEach(([sku, quantity]) => adjustReserved(sku, -quantity));
+    reservation.status = 'released';
+    reservation.releasedAt = Date.now();
+
+    return { changed: true, lines: reservation.lines };
+  }
+
+  function getReserved(sku) {
+    return reservedBySku.get(sku) || 0;
+  }
+
+  function listReserved() {
+    return Object.fromEntries(reservedBySku);
+  }
+
+  function countOrders() {
+    return orderReservations.size;
+  }
+
+  function clear() {
+    records.clear();
+    reservedBySku.clear();
+    orderReservations.clear();
+    lastPrunedAt = 0;
+  }
+
+  return {
+    applyInventoryLevel,
+    linkVariant,
+    getRecord,
+    findRecords,
+    reserveOrder,
+    releaseOrder,
+    getReserved,
+    listReserved,
+    pruneReleasedOrders,
+    countOrders,
+    clear
+  };
+}
+
+module.exports = {
+  createInventoryStore
+};
@@ -0,0 +1,155 @@
+// lib/jobs.js - In-memory registry for long-running background jobs
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { toApiError, errorBody } = require('./errors');
+
+const log = logger.child({ module: 'jobs' });
+
+// How long finished jobs (and their results) are kept
+const JOB_RESULT_TTL_MINUTES = Number(process.env.JOB_RESULT_TTL_MINUTES || 60);
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const jobs = new Map();
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+function isFinished(job) {
+  return ['completed', 'failed', 'cancelled'].includes(job.status);
+}
+
+/**
+ * Public view of a job, without its result payload.
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    phase: job.phase,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    expiresAt: job.expiresAt,
+    error: job.error
+  };
+}
+
+function finish(job, status, fields = {}) {
+  Object.assign(job, fields, {
+    status,
+    finishedAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + JOB_RESULT_TTL_MINUTES * 60 * 1000).toISOString()
+  });
+}
+
+/**
+ * Starts `work(ctx)` in the background and returns the job right away.
+ * `ctx.progress(phase, current, total, message)` updates the reported phase and
+ * `ctx.checkCancelled()` throws JobCancelledError once the job has been cancelled.
+ * `owner` (the API key name) is the only client that can see or cancel the job.
+ */
+function createJob(type, work, { owner = null } = {}) {
+  const job = {
+    id: crypto.randomBytes(12).toString('hex'),
+    type,
+    owner,
+    status: 'queued',
+    phase: null,
+    progress: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    error: null,
+    result: null,
+    cancelRequested: false
+  };
+  jobs.set(job.id, job);
+
+  const ctx = {
+    id: job.id,
+    progress(phase, current = null, total = null, message = null) {
+      job.phase = phase;
+      job.progress = { current, total, message };
+    },
+    checkCancelled() {
+      if (job.cancelRequested) throw new JobCancelledError();
+    }
+  };
+
+  setImmediate(async () => {
+    // Cancelled while still queued: cancelJob() already finished it
+    if (job.cancelRequested) return;
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const result = await work(ctx);
+      ctx.checkCancelled();
+      finish(job, 'completed', { result, phase: 'done' });
+      log.info('Job completed', { jobId: job.id, type });
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        finish(job, 'cancelled');
+        log.info('Job cancelled', { jobId: job.id, type });
+      } else {
+        // Kept in the API error envelope, with the status the result route answers with
+        const failure = toApiError(error);
+        finish(job, 'failed', { error: errorBody(failure).error, failureStatus: failure.status });
+        log.error('Job failed', { jobId: job.id, type, err: error });
+      }
+    }
+  });
+
+  return job;
+}
+
+/**
+ * The job, or null when it does not exist or belongs to another owner.
+ */
+function getJob(id, { owner = null } = {}) {
+  const job = jobs.get(id);
+  return job && job.owner === owner ? job : null;
+}
+
+function listJobs({ owner = null } = {}) {
+  return Array.from(jobs.values()).filter(job => job.owner === owner).map(describeJob);
+}
+
+/**
+ * Requests cancellation. Running work stops at its next checkCancelled() call.
+ * Returns false when the job already finished or belongs to another owner.
+ */
+function cancelJob(id, { owner = null } = {}) {
+  const job = getJob(id, { owner });
+  if (!job || isFinished(job)) return false;
+  job.cancelRequested = true;
+  if (job.status === 'queued') finish(job, 'cancelled');
+  return true;
+}
+
+function pruneExpired() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.expiresAt && new Date(job.expiresAt).getTime() <= now) jobs.delete(id);
+  }
+}
+
+setInterval(pruneExpired, PRUNE_INTERVAL_MS).unref();
+
+module.exports = {
+  createJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  describeJob,
+  isFinished,
+  JobCancelledError
+};
@@ -0,0 +1,118 @@
+// lib/logger.js - Structured JSON logging with request ids and secret redaction
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+// Field names whose values never reach the logs
+const SECRET_KEY = /token|secret|password|passwd|authorization|api[-_]?key|hmac|cookie|signature/i;
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.url ? { url: error.url } : {}),
+    stack: error.stack
+  };
+}
+
+/**
+ * Copy of `value` with secret-looking fields replaced and errors made serializable.
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    result[key] = SECRET_KEY.test(key) && item !== undefined && item !== null
+      ? '[REDACTED]'
+      : redact(item, depth + 1);
+  });
+  return result;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+
+  const store = context.getStore();
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(store && store.requestId ? { requestId: store.requestId } : {}),
+    ...redact({ ...bindings, ...(fields instanceof Error ? { err: fields } : fields) })
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(line) + '\n');
+}
+
+/**
+ * Logger whose lines all carry `bindings`. Usage: logger.info('message', { field: value }).
+ * An Error passed as fields is logged under `err`.
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: extra => createLogger({ ...bindings, ...extra })
+  };
+}
+
+const logger = createLogger();
+
+function currentRequestId() {
+  const store = context.getStore();
+  return store ? store.requestId : null;
+}
+
+/**
+ * Express middleware: takes the caller's X-Request-Id (or generates one), echoes it
+ * back and makes it available to every log line written while handling the request,
+ * including async work started from it. Logs one line per completed request.
+ */
+function requestLogger() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    context.run({ requestId }, () => {
+      res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        logger[level]('request completed', {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          durationMs: Math.round(durationMs),
+          client: req.auth ? req.auth.name : undefined
+        });
+      });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  requestLogger,
+  currentRequestId,
+  redact
+};
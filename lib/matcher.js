@@ -0,0 +1,343 @@
+// lib/matcher.js - Scored matching of CSV rows against the Shopify catalog
+
+// Below this score a candidate is not considered a match at all
+const MIN_SCORE = 0.6;
+// Candidates for different products within this margin of the best one make the row ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+const MAX_CANDIDATES = 5;
+
+const SCORES = {
+  sku_exact: 1,
+  sku_normalized: 0.95,
+  title_exact: 0.9,
+  sku_prefix: 0.7,
+  // Multiplied by the token similarity of the two titles
+  title_fuzzy: 0.85
+};
+
+// Bonuses applied when independent signals agree on the same product
+const TITLE_AGREEMENT_BONUS = 0.05;
+const VENDOR_AGREEMENT_BONUS = 0.03;
+
+// Default brand prefixes stripped from titles; stores can configure their own
+const BRAND_PREFIXES = [/^LOFT\.?73\s*-\s*/i];
+
+// Normalization rules used when none are configured: fold accents, nothing else
+const DEFAULT_RULES = { foldAccents: true, replacements: [], synonyms: null, stopwords: new Set() };
+
+function foldAccents(value) {
+  return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function normalizeSku(sku) {
+  return String(sku || '').replace(/[\s\-_./]/g, '').toUpperCase();
+}
+
+/**
+ * Runs a title through the normalization pipeline: brand prefixes, regex
+ * replacements, accent folding, lowercasing, synonyms and stopwords. `rules`
+ * is a compiled rule set (see lib/normalization.js). When `steps` is given,
+ * the value after each stage is pushed to it.
+ */
+function runNormalization(title, brandPrefixes, rules, steps = null) {
+  const record = (step, value) => {
+    if (steps) steps.push({ step, value });
+    return value;
+  };
+
+  let value = String(title || '').trim();
+  brandPrefixes.forEach(prefix => {
+    value = value.replace(prefix, '');
+  });
+  record('brandPrefixes', value);
+
+  rules.replacements.forEach(({ pattern, replacement }) => {
+    value = value.replace(pattern, replacement);
+  });
+  record('replacements', value);
+
+  // Without folding, accented letters are kept as letters rather than dropped
+  value = rules.foldAccents
+    ? foldAccents(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+    : value.normalize('NFC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  record(rules.foldAccents ? 'foldAccents' : 'lowercase', value);
+
+  if (rules.synonyms) {
+    value = value.replace(rules.synonyms.pattern, alias => rules.synonyms.canonical.get(alias));
+    record('synonyms', value);
+  }
+
+  if (rules.stopwords.size) {
+    value = value.split(' ').filter(token => !rules.stopwords.has(token)).join(' ');
+    record('stopwords', value);
+  }
+
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+function normalizeTitle(title, brandPrefixes = BRAND_PREFIXES, rules = DEFAULT_RULES) {
+  return runNormalization(title, brandPrefixes, rules);
+}
+
+/**
+ * Like normalizeTitle, but also returns the value after each stage, for previews.
+ */
+function traceTitle(title, brandPrefixes = BRAND_PREFIXES, rules = DEFAULT_RULES) {
+  const steps = [];
+  const normalized = runNormalization(title, brandPrefixes, rules, steps);
+  return { normalized, steps };
+}
+
+function tokenize(normalizedTitle) {
+  return new Set(normalizedTitle.split(' ').filter(token => token.length > 1));
+}
+
+/**
+ * Dice coefficient between two token sets (1 = same tokens, 0 = nothing in common).
+ */
+function tokenSimilarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * The product-level bases of a variant SKU: every leading part that ends at a
+ * separator, uppercased ("L73-100-M" -> "L73", "L73-100").
+ */
+function skuPrefixes(sku) {
+  const prefixes = [];
+  for (let i = 1; i < sku.length; i++) {
+    if (/[\s\-_./]/.test(sku[i])) prefixes.push(sku.slice(0, i).toUpperCase());
+  }
+  return prefixes;
+}
+
+function addToIndex(index, key, value) {
+  if (!key) return;
+  let bucket = index.get(key);
+  if (!bucket) {
+    bucket = [];
+    index.set(key, bucket);
+  }
+  bucket.push(value);
+}
+
+/**
+ * Indexes a catalog once so many rows can be matched against it.
+ * `brandPrefixes` (RegExps) are stripped from both CSV and Shopify titles;
+ * `rulesForVendor(vendor)` returns the normalization rules for a product's
+ * vendor or a CSV row's brand.
+ */
+function buildIndex(products, { brandPrefixes = BRAND_PREFIXES, rulesForVendor = () => DEFAULT_RULES } = {}) {
+  const index = {
+    brandPrefixes,
+    rulesForVendor,
+    products: [],
+    bySku: new Map(),
+    byNormalizedSku: new Map(),
+    bySkuPrefix: new Map(),
+    byTitle: new Map(),
+    byToken: new Map()
+  };
+
+  products.forEach(product => {
+    const title = normalizeTitle(product.title, brandPrefixes, rulesForVendor(product.vendor || null));
+    const entry = {
+      product,
+      title,
+      tokens: tokenize(title),
+      vendor: normalizeTitle(product.vendor, [])
+    };
+    index.products.push(entry);
+
+    addToIndex(index.byTitle, title, entry);
+    entry.tokens.forEach(token => addToIndex(index.byToken, token, entry));
+
+    (product.variants || []).forEach(variant => {
+      if (!variant.sku) return;
+      addToIndex(index.bySku, variant.sku.trim(), { entry, variant });
+      addToIndex(index.byNormalizedSku, normalizeSku(variant.sku), { entry, variant });
+      skuPrefixes(variant.sku.trim()).forEach(prefix => addToIndex(index.bySkuPrefix, prefix, { entry, variant }));
+    });
+  });
+
+  return index;
+}
+
+function skuCandidates(index, csvSku) {
+  const candidates = [];
+  if (!csvSku) return candidates;
+
+  const normalized = normalizeSku(csvSku);
+
+  (index.bySku.get(csvSku) || []).forEach(({ entry, variant }) => {
+    candidates.push({ entry, variant, strategy: 'sku_exact', score: SCORES.sku_exact });
+  });
+
+  (index.byNormalizedSku.get(normalized) || []).forEach(({ entry, variant }) => {
+    candidates.push({ entry, variant, strategy: 'sku_normalized', score: SCORES.sku_normalized });
+  });
+
+  // A CSV SKU can be the product-level base of variant SKUs ("L73-100" -> "L73-100-M").
+  // Only whole segments count, so "L73-10" never matches "L73-100-M".
+  if (!candidates.length && normalized.length >= 4) {
+    const variantsByEntry = new Map();
+    (index.bySkuPrefix.get(csvSku.toUpperCase()) || []).forEach(({ entry, variant }) => {
+      if (!variantsByEntry.has(entry)) variantsByEntry.set(entry, []);
+      variantsByEntry.get(entry).push(variant);
+    });
+    variantsByEntry.forEach((variants, entry) => {
+      candidates.push({
+        entry,
+        variant: variants.length === 1 ? variants[0] : null,
+        strategy: 'sku_prefix',
+        score: SCORES.sku_prefix
+      });
+    });
+  }
+
+  return candidates;
+}
+
+function titleCandidates(index, csvName, csvBrand) {
+  const candidates = [];
+  const title = normalizeTitle(csvName, index.brandPrefixes, index.rulesForVendor(csvBrand || null));
+  if (!title) return candidates;
+
+  (index.byTitle.get(title) || []).forEach(entry => {
+    candidates.push({ entry, variant: null, strategy: 'title_exact', score: SCORES.title_exact });
+  });
+
+  const tokens = tokenize(title);
+  const seen = new Set(candidates.map(c => c.entry));
+
+  tokens.forEach(token => {
+    (index.byToken.get(token) || []).forEach(entry => {
+      if (seen.has(entry)) return;
+      seen.add(entry);
+
+      const similarity = tokenSimilarity(tokens, entry.tokens);
+      const score = SCORES.title_fuzzy * similarity;
+      if (score >= MIN_SCORE) {
+        candidates.push({ entry, variant: null, strategy: 'title_fuzzy', score });
+      }
+    });
+  });
+
+  return candidates;
+}
+
+function round(score) {
+  return Math.round(Math.min(score, 1) * 1000) / 1000;
+}
+
+function describe(candidate) {
+  return {
+    productId: candidate.entry.product.id,
+    variantId: candidate.variant ? candidate.variant.id : null,
+    title: candidate.entry.product.title,
+    sku: candidate.variant ? candidate.variant.sku : null,
+    vendor: candidate.entry.product.vendor,
+    strategy: candidate.strategy,
+    score: round(candidate.score)
+  };
+}
+
+/**
+ * Scores every plausible product for one CSV row.
+ * Returns { status: 'matched' | 'ambiguous' | 'unmatched', strategy, confidence,
+ *           product, variant, candidates } where candidates explain the decision.
+ */
+function matchRow(index, row) {
+  const csvName = String((row && row.name) || '').trim();
+  const csvSku = String((row && row.sku) || '').trim();
+  const rawBrand = String((row && (row.brand || row.vendor)) || '').trim();
+  const csvBrand = normalizeTitle(rawBrand, []);
+
+  const bySku = skuCandidates(index, csvSku);
+  const byTitle = titleCandidates(index, csvName, rawBrand);
+  const titleScores = new Map(byTitle.map(c => [c.entry, c.score]));
+
+  // Keep the best candidate per product, rewarding SKU matches the title agrees with
+  const best = new Map();
+  bySku.concat(byTitle).forEach(candidate => {
+    let score = candidate.score;
+    if (candidate.strategy.startsWith('sku') && titleScores.has(candidate.entry)) {
+      score += TITLE_AGREEMENT_BONUS;
+    }
+    if (csvBrand && candidate.entry.vendor === csvBrand) {
+      score += VENDOR_AGREEMENT_BONUS;
+    }
+
+    const current = best.get(candidate.entry);
+    if (!current || score > current.score) {
+      best.set(candidate.entry, { ...candidate, score });
+    }
+  });
+
+  const ranked = Array.from(best.values()).sort((a, b) => b.score - a.score);
+  const candidates = ranked.slice(0, MAX_CANDIDATES).map(describe);
+  const top = ranked[0];
+
+  if (!top || top.score < MIN_SCORE) {
+    return { status: 'unmatched', strategy: null, confidence: 0, product: null, variant: null, candidates };
+  }
+
+  const runnerUp = ranked[1];
+  const status = runnerUp && top.score - runnerUp.score <= AMBIGUITY_MARGIN ? 'ambiguous' : 'matched';
+
+  return {
+    status,
+    strategy: top.strategy,
+    confidence: round(top.score),
+    product: status === 'matched' ? top.entry.product : null,
+    variant: status === 'matched' ? top.variant : null,
+    candidates
+  };
+}
+
+// Rows matched between yields to the event loop, so status requests are served during long runs
+const ROWS_PER_TICK = 250;
+
+/**
+ * Matches every row and splits them into matched, ambiguous and unmatched.
+ * `onProgress({ row, totalRows })` is called between batches and may throw to abort.
+ */
+async function matchRows(products, rows, { onProgress, brandPrefixes, rulesForVendor } = {}) {
+  const index = buildIndex(products, { brandPrefixes, rulesForVendor });
+  const matched = [];
+  const ambiguous = [];
+  const unmatched = [];
+
+  for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+    if (rowIndex % ROWS_PER_TICK === 0 && rowIndex > 0) {
+      if (onProgress) onProgress({ row: rowIndex, totalRows: rows.length });
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const row = rows[rowIndex];
+    const result = { rowIndex, csvProduct: row, ...matchRow(index, row) };
+    if (result.status === 'matched') matched.push(result);
+    else if (result.status === 'ambiguous') ambiguous.push(result);
+    else unmatched.push(result);
+  }
+
+  if (onProgress) onProgress({ row: rows.length, totalRows: rows.length });
+  return { matched, ambiguous, unmatched };
+}
+
+module.exports = {
+  buildIndex,
+  matchRow,
+  matchRows,
+  normalizeSku,
+  normalizeTitle,
+  traceTitle,
+  DEFAULT_RULES,
+  MIN_SCORE,
+  AMBIGUITY_MARGIN
+};
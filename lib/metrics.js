@@ -0,0 +1,115 @@
+// lib/metrics.js - Prometheus metrics exposed on /metrics
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const shopifyRequests = new client.Counter({
+  name: 'shopify_api_requests_total',
+  help: 'Shopify Admin API calls by shop, method, endpoint and HTTP status (0 = network error)',
+  labelNames: ['shop', 'method', 'endpoint', 'status'],
+  registers: [registry]
+});
+
+const shopifyDuration = new client.Histogram({
+  name: 'shopify_api_request_duration_seconds',
+  help: 'Latency of single Shopify Admin API calls, retries counted separately',
+  labelNames: ['shop', 'method', 'endpoint'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+  registers: [registry]
+});
+
+const shopifyRateLimited = new client.Counter({
+  name: 'shopify_api_rate_limited_total',
+  help: 'Shopify responses with status 429',
+  labelNames: ['shop'],
+  registers: [registry]
+});
+
+const webhooks = new client.Counter({
+  name: 'webhooks_received_total',
+  help: 'Shopify webhooks by topic and result (processed, failed, duplicate, ignored, rejected)',
+  labelNames: ['topic', 'result'],
+  registers: [registry]
+});
+
+const matchRate = new client.Histogram({
+  name: 'availability_match_rate',
+  help: 'Share of CSV rows matched to a Shopify product per availability run',
+  labelNames: ['store'],
+  buckets: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95, 1],
+  registers: [registry]
+});
+
+const streamClients = new client.Gauge({
+  name: 'stock_stream_clients',
+  help: 'Dashboard clients connected to the live stock stream',
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Latency of requests served by this server',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.5, 1, 5, 15, 60],
+  registers: [registry]
+});
+
+/**
+ * Collapses ids in an Admin API path so each endpoint is one label value:
+ * /admin/api/2024-01/products/123.json -> products/:id.json
+ */
+function endpointLabel(url) {
+  const pathname = new URL(url).pathname.replace(/^\/admin\/api\/[^/]+\//, '');
+  return pathname.replace(/\/\d+(?=\/|\.json|$)/g, '/:id');
+}
+
+function recordShopifyCall({ shop, method, url, status, durationMs }) {
+  const endpoint = endpointLabel(url);
+  shopifyRequests.inc({ shop, method, endpoint, status: String(status) });
+  shopifyDuration.observe({ shop, method, endpoint }, durationMs / 1000);
+  if (status === 429) shopifyRateLimited.inc({ shop });
+}
+
+function recordWebhook(topic, result) {
+  webhooks.inc({ topic: topic || 'unknown', result });
+}
+
+function recordMatchRate(store, rate) {
+  if (Number.isFinite(rate)) matchRate.observe({ store }, rate);
+}
+
+function setStreamClients(count) {
+  streamClients.set(count);
+}
+
+/**
+ * Express middleware timing each request by its route pattern (not the raw path,
+ * to keep label cardinality bounded).
+ */
+function httpMetrics() {
+  return (req, res, next) => {
+    const end = httpDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      end({ route, status: String(res.statusCode) });
+    });
+    next();
+  };
+}
+
+async function metricsHandler(req, res) {
+  res.set('Content-Type', registry.contentType);
+  res.send(await registry.metrics());
+}
+
+module.exports = {
+  registry,
+  recordShopifyCall,
+  recordWebhook,
+  recordMatchRate,
+  setStreamClients,
+  httpMetrics,
+  metricsHandler,
+  endpointLabel
+};
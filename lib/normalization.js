@@ -0,0 +1,291 @@
+// lib/normalization.js - Title normalization rules per store and vendor, loaded from a JSON file
+const fs = require('fs');
+const path = require('path');
+const { normalizeTitle, DEFAULT_RULES } = require('./matcher');
+const { badRequest } = require('./errors');
+const { checkSchema } = require('./validation');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'normalization' });
+
+// Runtime state like the catalog cache: PUT /api/matching/rules rewrites it
+const NORMALIZATION_RULES_FILE = process.env.NORMALIZATION_RULES_FILE ||
+  path.join(__dirname, '..', 'data', 'normalization.json');
+
+// Patterns run against every title on every match: keep them short and free of
+// nested quantifiers such as (a+)+, which can backtrack exponentially
+const MAX_PATTERN_LENGTH = 200;
+
+/*
+ * Rules file:
+ *   { default: <rules>, vendors: { <vendor>: <rules> },
+ *     stores: { <store id>: <rules> + { vendors: { <vendor>: <rules> } } } }
+ * where <rules> is
+ *   { foldAccents: true,
+ *     replacements: [{ pattern, with, flags }],   regexes on the raw title, flags default "gi"
+ *     synonyms: { <canonical>: [<alias>, ...] },  aliases are rewritten to the canonical word
+ *     stopwords: [<word>, ...] }                  dropped after synonyms
+ * Sections apply in the order default, vendor, store, store vendor: replacements
+ * run in that order, synonyms and stopwords add up and a later foldAccents wins.
+ * Vendor names are compared ignoring case and accents.
+ */
+
+const RULES_SCHEMA = {
+  foldAccents: { type: 'boolean' },
+  replacements: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', required: true },
+        with: { type: 'string' },
+        flags: { type: 'string', pattern: /^[gimsuy]*$/ }
+      }
+    }
+  },
+  synonyms: { type: 'object' },
+  stopwords: { type: 'array', items: { type: 'string' } }
+};
+const FILE_SCHEMA = {
+  default: { type: 'object' },
+  vendors: { type: 'object' },
+  stores: { type: 'object' }
+};
+
+// Loaded file: { file, mtimeMs, loadedAt, rules, error }
+let current = null;
+
+function vendorKey(vendor) {
+  return normalizeTitle(vendor, []);
+}
+
+function checkObject(value, field) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw badRequest(`Invalid request: ${field} must be an object`, [{ field, message: 'must be an object' }]);
+  }
+}
+
+/**
+ * True when a quantified group contains a quantifier itself, e.g. (a+)+ or (\w*\s?)*.
+ */
+function hasNestedQuantifier(pattern) {
+  // Escapes and character classes cannot nest, so reduce them to a plain atom first
+  const source = pattern.replace(/\\./g, 'a').replace(/\[(?:[^\]\\]|\\.)*\]/g, 'a');
+  const groups = [];
+  let quantified = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const next = source[i + 1];
+    const repeats = next === '*' || next === '+' || next === '{';
+
+    if (char === '(') {
+      groups.push(quantified);
+      quantified = false;
+    } else if (char === ')') {
+      if (quantified && repeats) return true;
+      quantified = groups.pop() || quantified || repeats;
+    } else if (char === '*' || char === '+' || char === '{') {
+      quantified = true;
+    }
+  }
+  return false;
+}
+
+function checkPattern(pattern, field) {
+  let message = null;
+  if (pattern.length > MAX_PATTERN_LENGTH) message = `must be at most ${MAX_PATTERN_LENGTH} characters`;
+  else if (hasNestedQuantifier(pattern)) message = 'must not repeat a group that is itself repeated, e.g. (a+)+';
+
+  if (message) throw badRequest(`Invalid request: ${field} ${message}`, [{ field, message }]);
+}
+
+/**
+ * Checks one rules section and compiles its regexes. Throws a 400 ApiError
+ * naming the offending field.
+ */
+function compileSection(section, prefix) {
+  checkObject(section, prefix);
+  checkSchema(RULES_SCHEMA, section, { prefix });
+
+  const replacements = (section.replacements || []).map((rule, i) => {
+    checkPattern(rule.pattern, `${prefix}.replacements[${i}].pattern`);
+    try {
+      return { pattern: new RegExp(rule.pattern, rule.flags === undefined ? 'gi' : rule.flags), replacement: rule.with || '' };
+    } catch (error) {
+      const field = `${prefix}.replacements[${i}].pattern`;
+      throw badRequest(`Invalid request: ${field} is not a valid regular expression`, [{ field, message: error.message }]);
+    }
+  });
+
+  const synonyms = Object.entries(section.synonyms || {}).map(([canonical, aliases]) => {
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+      const field = `${prefix}.synonyms.${canonical}`;
+      throw badRequest(`Invalid request: ${field} must be an array of strings`, [{ field, message: 'must be an array of strings' }]);
+    }
+    return { canonical, aliases };
+  });
+
+  return { foldAccents: section.foldAccents, replacements, synonyms, stopwords: section.stopwords || [] };
+}
+
+function compileVendors(vendors = {}, prefix) {
+  checkObject(vendors, prefix);
+  const compiled = new Map();
+  Object.entries(vendors).forEach(([vendor, section]) => {
+    compiled.set(vendorKey(vendor), compileSection(section, `${prefix}.${vendor}`));
+  });
+  return compiled;
+}
+
+/**
+ * Merges the sections that apply into the rule set the matcher runs. Synonyms
+ * and stopwords are normalized like titles, so "Più" in the file matches "piu".
+ */
+function mergeSections(sections) {
+  const foldAccents = sections.reduce(
+    (fold, section) => (section.foldAccents === undefined ? fold : section.foldAccents),
+    DEFAULT_RULES.foldAccents
+  );
+  const asTokens = value => normalizeTitle(value, [], { ...DEFAULT_RULES, foldAccents });
+
+  const canonical = new Map();
+  const stopwords = new Set();
+  sections.forEach(section => {
+    section.synonyms.forEach(entry => {
+      const target = asTokens(entry.canonical);
+      entry.aliases.map(asTokens).filter(Boolean).forEach(alias => canonical.set(alias, target));
+    });
+    section.stopwords.map(asTokens).filter(Boolean).forEach(word => stopwords.add(word));
+  });
+
+  // Longest aliases first, so "blu notte" wins over "blu"
+  const aliases = Array.from(canonical.keys()).sort((a, b) => b.length - a.length);
+
+  return {
+    foldAccents,
+    replacements: sections.flatMap(section => section.replacements),
+    synonyms: aliases.length
+      ? { pattern: new RegExp(`(?<=^| )(?:${aliases.map(escapeRegExp).join('|')})(?= |$)`, 'gu'), canonical }
+      : null,
+    stopwords
+  };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validates and compiles a rules file. Returns { config, resolve(storeId, vendor) },
+ * where resolve gives the merged rule set for a store and vendor (cached).
+ */
+function compileRules(config = {}) {
+  checkObject(config, 'rules');
+  checkSchema(FILE_SCHEMA, config);
+
+  const base = compileSection(config.default || {}, 'default');
+  const vendors = compileVendors(config.vendors, 'vendors');
+  const storeRules = new Map();
+  Object.entries(config.stores || {}).forEach(([storeId, section]) => {
+    checkObject(section, `stores.${storeId}`);
+    const { vendors: storeVendors, ...rules } = section;
+    storeRules.set(storeId, {
+      rules: compileSection(rules, `stores.${storeId}`),
+      vendors: compileVendors(storeVendors, `stores.${storeId}.vendors`)
+    });
+  });
+
+  const cache = new Map();
+  const resolve = (storeId, vendor) => {
+    const key = `${storeId || ''}\n${vendorKey(vendor)}`;
+    if (!cache.has(key)) {
+      const store = storeRules.get(storeId);
+      const wanted = vendorKey(vendor);
+      const sections = [
+        base,
+        wanted && vendors.get(wanted),
+        store && store.rules,
+        store && wanted && store.vendors.get(wanted)
+      ].filter(Boolean);
+      cache.set(key, mergeSections(sections));
+    }
+    return cache.get(key);
+  };
+
+  return { config, resolve };
+}
+
+/**
+ * The rules in NORMALIZATION_RULES_FILE, reloaded whenever the file changes so
+ * edits apply without a restart. A file that fails to load keeps the previous
+ * rules (or none) and the error is reported by describeRules().
+ */
+function getRules(file = NORMALIZATION_RULES_FILE) {
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  if (current && current.file === file && current.mtimeMs === mtimeMs) return current.rules;
+
+  let rules = compileRules({});
+  let loadError = null;
+  if (mtimeMs !== null) {
+    try {
+      rules = compileRules(JSON.parse(fs.readFileSync(file, 'utf8')));
+      log.info('Normalization rules loaded', { file });
+    } catch (error) {
+      if (current && current.file === file) rules = current.rules;
+      loadError = error.message;
+      log.error('Invalid normalization rules, keeping the previous ones', { file, error: error.message });
+    }
+  }
+
+  current = { file, mtimeMs, loadedAt: new Date().toISOString(), rules, error: loadError };
+  return rules;
+}
+
+/**
+ * The vendor -> rule set function the matcher takes, for one store.
+ */
+function rulesForStore(storeId, rules = getRules()) {
+  return vendor => rules.resolve(storeId, vendor);
+}
+
+/**
+ * Validates and writes a new rules file; throws a 400 ApiError when invalid.
+ */
+function saveRules(config, file = NORMALIZATION_RULES_FILE) {
+  compileRules(config);
+
+  const tmpFile = `${file}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmpFile, JSON.stringify(config, null, 2) + '\n');
+  fs.renameSync(tmpFile, file);
+  log.info('Normalization rules saved', { file });
+
+  // The mtime can be unchanged when saves follow each other quickly
+  current = null;
+  return getRules(file);
+}
+
+function describeRules(file = NORMALIZATION_RULES_FILE) {
+  const rules = getRules(file);
+  return {
+    file,
+    loadedAt: current.loadedAt,
+    error: current.error,
+    rules: rules.config
+  };
+}
+
+module.exports = {
+  compileRules,
+  getRules,
+  rulesForStore,
+  saveRules,
+  describeRules
+};
@@ -0,0 +1,129 @@
+// lib/reconciliation.js - Reverse view of an availability run: stock missing from the CSV, brands missing from Shopify
+const { normalizeTitle, AMBIGUITY_MARGIN } = require('./matcher');
+
+/**
+ * Variants and products the CSV refers to. A row matched to a product without a
+ * specific variant covers all its variants; an ambiguous row covers the products
+ * it could not choose between, so they are not reported as missing.
+ */
+function coveredByCsv(availability) {
+  const variantIds = new Set();
+  const productIds = new Set();
+
+  availability.results.forEach(result => {
+    if (result.variant) variantIds.add(String(result.variant.variantId));
+    else productIds.add(String(result.product.id));
+  });
+
+  availability.ambiguous.forEach(row => {
+    const [top] = row.candidates || [];
+    (row.candidates || [])
+      .filter(candidate => top.score - candidate.score <= AMBIGUITY_MARGIN)
+      .forEach(candidate => productIds.add(String(candidate.productId)));
+  });
+
+  return { variantIds, productIds };
+}
+
+/**
+ * Tracked variants with stock that no CSV row refers to, grouped by vendor
+ * (case-insensitive, named after the first spelling seen), most units first.
+ */
+function findMissingInCsv(products, availability) {
+  const covered = coveredByCsv(availability);
+  const groups = new Map();
+
+  products.forEach(product => {
+    if (covered.productIds.has(String(product.id))) return;
+
+    (product.variants || []).forEach(variant => {
+      if (covered.variantIds.has(String(variant.id))) return;
+      if (!variant.inventory_management || !(variant.inventory_quantity > 0)) return;
+
+      const vendor = product.vendor || 'Unknown';
+      const key = vendor.toLowerCase();
+      if (!groups.has(key)) groups.set(key, { vendor, productIds: new Set(), variants: 0, units: 0, items: [] });
+
+      const group = groups.get(key);
+      group.productIds.add(product.id);
+      group.variants++;
+      group.units += variant.inventory_quantity;
+      group.items.push({
+        productId: product.id,
+        title: product.title,
+        handle: product.handle,
+        status: product.status || null,
+        variantId: variant.id,
+        variantTitle: variant.title,
+        sku: variant.sku || null,
+        quantity: variant.inventory_quantity
+      });
+    });
+  });
+
+  return Array.from(groups.values())
+    .map(({ productIds, ...group }) => ({ ...group, products: productIds.size }))
+    .sort((a, b) => b.units - a.units || a.vendor.localeCompare(b.vendor));
+}
+
+/**
+ * CSV rows whose brand matches no Shopify vendor, grouped by brand.
+ * Rows without a brand column are left out.
+ */
+function findBrandsMissingInShopify(products, csvProducts) {
+  const vendors = new Set(products.map(product => normalizeTitle(product.vendor, [])).filter(Boolean));
+  const brands = new Map();
+
+  csvProducts.forEach((row, rowIndex) => {
+    const brand = String((row && (row.brand || row.vendor)) || '').trim();
+    const key = normalizeTitle(brand, []);
+    if (!key || vendors.has(key)) return;
+
+    if (!brands.has(key)) brands.set(key, { brand, rows: 0, rowIndexes: [] });
+    const entry = brands.get(key);
+    entry.rows++;
+    entry.rowIndexes.push(rowIndex);
+  });
+
+  return Array.from(brands.values()).sort((a, b) => b.rows - a.rows || a.brand.localeCompare(b.brand));
+}
+
+/**
+ * Builds the reconciliation report for one store's availability run:
+ *   missingInCsv            stock in Shopify the supplier CSV does not mention, by vendor
+ *   brandsMissingInShopify  CSV brands with no products in Shopify
+ *   rows                    row indexes of matched, ambiguous and unmatched CSV rows
+ * with the counts of each in `summary`.
+ */
+function buildReconciliation(products, csvProducts, availability) {
+  const missingInCsv = findMissingInCsv(products, availability);
+  const brandsMissingInShopify = findBrandsMissingInShopify(products, csvProducts);
+  const rows = {
+    matched: availability.results.map(result => result.rowIndex),
+    ambiguous: availability.ambiguous.map(row => row.rowIndex),
+    unmatched: availability.unmatched.map(row => row.rowIndex)
+  };
+
+  return {
+    summary: {
+      missingInCsvVendors: missingInCsv.length,
+      missingInCsvProducts: missingInCsv.reduce((total, group) => total + group.products, 0),
+      missingInCsvVariants: missingInCsv.reduce((total, group) => total + group.variants, 0),
+      missingInCsvUnits: missingInCsv.reduce((total, group) => total + group.units, 0),
+      brandsMissingInShopify: brandsMissingInShopify.length,
+      rowsWithBrandMissingInShopify: brandsMissingInShopify.reduce((total, entry) => total + entry.rows, 0),
+      matchedRows: rows.matched.length,
+      ambiguousRows: rows.ambiguous.length,
+      unmatchedRows: rows.unmatched.length
+    },
+    missingInCsv,
+    brandsMissingInShopify,
+    rows
+  };
+}
+
+module.exports = {
+  buildReconciliation,
+  findMissingInCsv,
+  findBrandsMissingInShopify
+};
@@ -0,0 +1,131 @@
+// lib/shopify-bulk.js - GraphQL bulk operations: start, poll until done, stream the JSONL result
+const fetch = require('node-fetch');
+const readline = require('readline');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'shopify-bulk' });
+
+const BULK_POLL_SECONDS = Number(process.env.BULK_POLL_SECONDS || 2);
+const BULK_TIMEOUT_MINUTES = Number(process.env.BULK_TIMEOUT_MINUTES || 30);
+
+const RUN_QUERY = `mutation RunBulkQuery($query: String!) {
+  bulkOperationRunQuery(query: $query) {
+    bulkOperation { id status }
+    userErrors { field message }
+  }
+}`;
+
+const POLL_QUERY = `query BulkOperationStatus($id: ID!) {
+  node(id: $id) {
+    ... on BulkOperation { id status errorCode objectCount url }
+  }
+}`;
+
+const CANCEL_QUERY = `mutation CancelBulkOperation($id: ID!) {
+  bulkOperationCancel(id: $id) {
+    userErrors { field message }
+  }
+}`;
+
+/**
+ * A bulk operation that could not be started or did not complete (another one
+ * already running, FAILED, CANCELED, EXPIRED or timed out).
+ */
+class BulkOperationError extends Error {
+  constructor(message, { status, errorCode, operationId } = {}) {
+    super(message);
+    this.name = 'BulkOperationError';
+    this.status = status;
+    this.errorCode = errorCode;
+    this.operationId = operationId;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function cancelOperation(client, id) {
+  try {
+    await client.graphql(CANCEL_QUERY, { id });
+  } catch (error) {
+    log.warn('Could not cancel bulk operation', { shop: client.storeUrl, operationId: id, error: error.message });
+  }
+}
+
+/**
+ * Starts a bulk query and polls it until it finishes. Resolves to the URL of the
+ * JSONL result, or null when the query matched nothing.
+ * `onProgress({ status, objectCount })` is called after each poll; if it throws,
+ * the operation is cancelled on Shopify and the error passed on.
+ */
+async function runBulkQuery(client, query, {
+  pollIntervalMs = BULK_POLL_SECONDS * 1000,
+  timeoutMs = BULK_TIMEOUT_MINUTES * 60 * 1000,
+  onProgress
+} = {}) {
+  const started = await client.graphql(RUN_QUERY, { query });
+  const { bulkOperation, userErrors } = started.bulkOperationRunQuery;
+
+  if (userErrors.length || !bulkOperation) {
+    throw new BulkOperationError(`Bulk operation not started: ${userErrors.map(error => error.message).join('; ')}`);
+  }
+
+  const id = bulkOperation.id;
+  const deadline = Date.now() + timeoutMs;
+  log.info('Bulk operation started', { shop: client.storeUrl, operationId: id });
+
+  for (;;) {
+    await sleep(pollIntervalMs);
+    const { node: operation } = await client.graphql(POLL_QUERY, { id });
+    const objectCount = Number(operation.objectCount) || 0;
+    if (onProgress) {
+      try {
+        onProgress({ status: operation.status, objectCount });
+      } catch (error) {
+        if (operation.status !== 'COMPLETED') await cancelOperation(client, id);
+        throw error;
+      }
+    }
+
+    if (operation.status === 'COMPLETED') {
+      log.info('Bulk operation completed', { shop: client.storeUrl, operationId: id, objectCount });
+      return operation.url || null;
+    }
+
+    if (!['CREATED', 'RUNNING'].includes(operation.status)) {
+      throw new BulkOperationError(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ''}`, {
+        status: operation.status,
+        errorCode: operation.errorCode,
+        operationId: id
+      });
+    }
+
+    if (Date.now() > deadline) {
+      await cancelOperation(client, id);
+      throw new BulkOperationError(`Bulk operation timed out after ${Math.round(timeoutMs / 1000)}s`, { status: operation.status, operationId: id });
+    }
+  }
+}
+
+/**
+ * Streams a JSONL result file, yielding one parsed object per line, so large
+ * exports are never held in memory as a single string.
+ */
+async function* readJsonl(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new BulkOperationError(`Bulk operation result download failed: ${response.status} ${response.statusText}`);
+  }
+
+  const lines = readline.createInterface({ input: response.body, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+module.exports = {
+  runBulkQuery,
+  readJsonl,
+  BulkOperationError
+};
@@ -0,0 +1,260 @@
+// lib/shopify-client.js - Shared Shopify Admin REST and GraphQL client
+const fetch = require('node-fetch');
+const { logger } = require('./logger');
+const { recordShopifyCall } = require('./metrics');
+
+const log = logger.child({ module: 'shopify-client' });
+
+const DEFAULT_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
+const MAX_RETRIES = 4;
+// Start slowing down once the leaky bucket is this full
+const CALL_LIMIT_THRESHOLD = 0.8;
+// Standard plans leak 2 calls per second
+const LEAK_RATE_PER_SECOND = 2;
+
+class ShopifyApiError extends Error {
+  constructor(message, { status, statusText, body, url, retryAfter } = {}) {
+    super(message);
+    this.name = 'ShopifyApiError';
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+    this.url = url;
+    this.retryAfter = retryAfter || null;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parses "32/40" into { used: 32, limit: 40 }.
+ */
+function parseCallLimit(header) {
+  if (!header) return null;
+  const [used, limit] = header.split('/').map(Number);
+  if (!Number.isFinite(used) || !Number.isFinite(limit) || limit <= 0) return null;
+  return { used, limit };
+}
+
+/**
+ * Extracts the rel="next" URL from a Shopify cursor pagination Link header.
+ */
+function parseNextLink(header) {
+  if (!header) return null;
+
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * How long until the GraphQL cost bucket holds enough points for the throttled
+ * query, from the `extensions.cost` block Shopify returns with a THROTTLED error.
+ */
+function graphqlThrottleDelayMs(body, attempt) {
+  const cost = body && body.extensions && body.extensions.cost;
+  const status = cost && cost.throttleStatus;
+  if (!status || !(status.restoreRate > 0)) return retryDelayMs(null, attempt);
+
+  const missing = Math.max((cost.requestedQueryCost || 0) - status.currentlyAvailable, 1);
+  return Math.ceil((missing / status.restoreRate) * 1000);
+}
+
+function retryDelayMs(response, attempt) {
+  const retryAfter = response && Number(response.headers.get('Retry-After'));
+  if (retryAfter > 0) return retryAfter * 1000;
+
+  // Exponential backoff with jitter: ~1s, 2s, 4s, 8s
+  return Math.pow(2, attempt) * 1000 + Math.floor(Math.random() * 250);
+}
+
+/**
+ * `storeUrl` is the shop domain; a full `http(s)://` origin is used as is, which
+ * lets tests and local proxies stand in for Shopify.
+ */
+function createShopifyClient({ storeUrl, accessToken, apiVersion = DEFAULT_API_VERSION } = {}) {
+  const origin = /^https?:\/\//.test(storeUrl || '') ? storeUrl.replace(/\/+$/, '') : `https://${storeUrl}`;
+  const baseUrl = `${origin}/admin/api/${apiVersion}/`;
+
+  function buildUrl(path, query) {
+    const url = new URL(/^https?:\/\//.test(path) ? path : baseUrl + path.replace(/^\//, ''));
+
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        url.searchParams.set(key, Array.isArray(value) ? value.join(',') : value);
+      }
+    });
+
+    return url.toString();
+  }
+
+  async function throttle(response) {
+    const callLimit = parseCallLimit(response.headers.get('X-Shopify-Shop-Api-Call-Limit'));
+    if (!callLimit) return;
+
+    const threshold = Math.floor(callLimit.limit * CALL_LIMIT_THRESHOLD);
+    if (callLimit.used >= threshold) {
+      const waitMs = Math.ceil(((callLimit.used - threshold + 1) / LEAK_RATE_PER_SECOND) * 1000);
+      log.info('Shopify call limit reached, pausing', { shop: storeUrl, used: callLimit.used, limit: callLimit.limit, waitMs });
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * Performs a request with retries on 429, 5xx and network errors.
+   * Resolves to { data, headers, status }.
+   */
+  async function request(path, { method = 'GET', query, body } = {}) {
+    if (!storeUrl || !accessToken) {
+      throw new ShopifyApiError('Shopify store URL or access token not configured');
+    }
+
+    const url = buildUrl(path, query);
+    const options = {
+      method,
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    };
+
+    if (body && method !== 'GET') {
+      options.body = JSON.stringify(body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      const startedAt = Date.now();
+
+      try {
+        response = await fetch(url, options);
+        recordShopifyCall({ shop: storeUrl, method, url, status: response.status, durationMs: Date.now() - startedAt });
+      } catch (error) {
+        recordShopifyCall({ shop: storeUrl, method, url, status: 0, durationMs: Date.now() - startedAt });
+        if (attempt >= MAX_RETRIES) {
+          throw new ShopifyApiError(`Shopify request failed: ${error.message}`, { url });
+        }
+        const delay = retryDelayMs(null, attempt);
+        log.warn('Shopify network error, retrying', { shop: storeUrl, method, path, error: error.message, delayMs: delay });
+        await sleep(delay);
+        continue;
+      }
+
+      const retryable = response.status === 429 || response.status >= 500;
+
+      if (retryable && attempt < MAX_RETRIES) {
+        const delay = retryDelayMs(response, attempt);
+        log.warn('Shopify request failed, retrying', { shop: storeUrl, method, path, status: response.status, delayMs: delay });
+        await sleep(delay);
+        continue;
+      }
+
+      if (!response.ok) {
+        const errorBody = await response.text().catch(() => '');
+        throw new ShopifyApiError(`Shopify API Error: ${response.status} ${response.statusText}`, {
+          status: response.status,
+          statusText: response.statusText,
+          body: errorBody,
+          url,
+          retryAfter: response.headers.get('Retry-After')
+        });
+      }
+
+      await throttle(response);
+
+      const text = await response.text();
+      return {
+        data: text ? JSON.parse(text) : null,
+        headers: response.headers,
+        status: response.status
+      };
+    }
+  }
+
+  async function get(path, query) {
+    const { data } = await request(path, { query });
+    return data;
+  }
+
+  /**
+   * Iterates over every page of a list endpoint, following cursor Link headers.
+   * Yields the array found under `key` (e.g. 'products') for each page.
+   */
+  async function* paginate(path, key, query = {}) {
+    let next = buildUrl(path, { limit: 250, ...query });
+
+    while (next) {
+      const { data, headers } = await request(next);
+      yield (data && data[key]) || [];
+      next = parseNextLink(headers.get('Link'));
+    }
+  }
+
+  /**
+   * Collects every item of a paginated list endpoint.
+   */
+  async function getAll(path, key, query, onPage) {
+    let items = [];
+    let pageCount = 0;
+
+    for await (const page of paginate(path, key, query)) {
+      pageCount++;
+      items = items.concat(page);
+      if (onPage) onPage({ page: pageCount, pageSize: page.length, total: items.length });
+    }
+
+    return items;
+  }
+
+  /**
+   * Runs a GraphQL Admin API query and resolves to its `data`. GraphQL reports
+   * throttling and query errors in a 200 body: THROTTLED is retried once the
+   * cost bucket has refilled, other errors become a ShopifyApiError.
+   */
+  async function graphql(query, variables = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const { data: body } = await request('graphql.json', { method: 'POST', body: { query, variables } });
+      const errors = body && body.errors ? [].concat(body.errors) : [];
+      const throttled = errors.some(error => error.extensions && error.extensions.code === 'THROTTLED');
+
+      if (throttled && attempt < MAX_RETRIES) {
+        const delay = graphqlThrottleDelayMs(body, attempt);
+        log.warn('Shopify GraphQL query throttled, retrying', { shop: storeUrl, delayMs: delay });
+        await sleep(delay);
+        continue;
+      }
+
+      if (errors.length) {
+        throw new ShopifyApiError(`Shopify GraphQL error: ${errors.map(error => error.message || String(error)).join('; ')}`, {
+          status: throttled ? 429 : undefined,
+          body: errors,
+          url: buildUrl('graphql.json')
+        });
+      }
+
+      return body.data;
+    }
+  }
+
+  return {
+    storeUrl,
+    apiVersion,
+    request,
+    get,
+    paginate,
+    getAll,
+    graphql
+  };
+}
+
+module.exports = {
+  createShopifyClient,
+  ShopifyApiError,
+  parseNextLink,
+  parseCallLimit
+};
@@ -0,0 +1,300 @@
+// lib/snapshots.js - Periodic snapshots of variant quantities and the stock change history
+const fs = require('fs');
+const path = require('path');
+const { ensureFreshCatalog } = require('./catalog-sync');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'snapshots' });
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, '..', 'data', 'snapshots');
+const SNAPSHOT_INTERVAL_MINUTES = Number(process.env.SNAPSHOT_INTERVAL_MINUTES || 360);
+const SNAPSHOT_RETENTION_DAYS = Number(process.env.SNAPSHOT_RETENTION_DAYS || 90);
+
+// store id -> promise of the snapshot being taken for that store
+const inFlight = new Map();
+
+/*
+ * Layout, per store:
+ *   <SNAPSHOT_DIR>/<store>/index.json           [{ id, takenAt, products, variants, units }]
+ *   <SNAPSHOT_DIR>/<store>/<id>.json            { id, store, takenAt, products, variants }
+ *   <SNAPSHOT_DIR>/<store>/changes.jsonl        one line per variant quantity change
+ * The change log lets history queries skip loading every snapshot; it is kept
+ * when old snapshots are pruned.
+ */
+
+function storeDir(storeId) {
+  return path.join(SNAPSHOT_DIR, storeId);
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+function writeJson(file, data) {
+  const tmpFile = `${file}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmpFile, JSON.stringify(data));
+  fs.renameSync(tmpFile, file);
+}
+
+function listSnapshots(storeId) {
+  return readJson(path.join(storeDir(storeId), 'index.json'), []);
+}
+
+/**
+ * Loads a snapshot by id; 'latest' and 'previous' are accepted as well.
+ */
+function loadSnapshot(storeId, id) {
+  const index = listSnapshots(storeId);
+  const entry = id === 'latest' ? index[index.length - 1]
+    : id === 'previous' ? index[index.length - 2]
+      : index.find(snapshot => snapshot.id === id);
+
+  return entry ? readJson(path.join(storeDir(storeId), `${entry.id}.json`), null) : null;
+}
+
+// 2026-01-05T06:00:00.123Z -> 20260105T060000123Z
+function snapshotId(takenAt) {
+  return takenAt.replace(/[-:.]/g, '');
+}
+
+/**
+ * Compact view of a catalog: products by id, variants by id with their quantity.
+ */
+function captureCatalog(products) {
+  const snapshotProducts = {};
+  const variants = {};
+
+  products.forEach(product => {
+    snapshotProducts[product.id] = { title: product.title, vendor: product.vendor || null };
+    (product.variants || []).forEach(variant => {
+      variants[variant.id] = {
+        productId: product.id,
+        sku: variant.sku || null,
+        quantity: Number(variant.inventory_quantity) || 0
+      };
+    });
+  });
+
+  return { products: snapshotProducts, variants };
+}
+
+/**
+ * Compares two snapshots: products added and removed, and every variant whose
+ * quantity changed (variants of added or removed products included, from/to null).
+ */
+function diffSnapshots(from, to) {
+  const addedProducts = Object.keys(to.products).filter(id => !from.products[id])
+    .map(id => ({ productId: Number(id), ...to.products[id] }));
+  const removedProducts = Object.keys(from.products).filter(id => !to.products[id])
+    .map(id => ({ productId: Number(id), ...from.products[id] }));
+
+  const changes = [];
+  const variantIds = new Set([...Object.keys(from.variants), ...Object.keys(to.variants)]);
+
+  variantIds.forEach(variantId => {
+    const before = from.variants[variantId];
+    const after = to.variants[variantId];
+    const fromQuantity = before ? before.quantity : null;
+    const toQuantity = after ? after.quantity : null;
+    if (fromQuantity === toQuantity) return;
+
+    const current = after || before;
+    const product = to.products[current.productId] || from.products[current.productId] || {};
+    changes.push({
+      variantId: Number(variantId),
+      productId: current.productId,
+      sku: current.sku,
+      title: product.title || null,
+      from: fromQuantity,
+      to: toQuantity,
+      delta: (toQuantity || 0) - (fromQuantity || 0)
+    });
+  });
+
+  changes.sort((a, b) => a.delta - b.delta);
+
+  return {
+    from: { id: from.id, takenAt: from.takenAt },
+    to: { id: to.id, takenAt: to.takenAt },
+    addedProducts,
+    removedProducts,
+    changes,
+    summary: {
+      changedVariants: changes.length,
+      unitsIn: changes.reduce((total, change) => total + Math.max(change.delta, 0), 0),
+      unitsOut: changes.reduce((total, change) => total - Math.min(change.delta, 0), 0),
+      net: changes.reduce((total, change) => total + change.delta, 0),
+      soldOut: changes.filter(change => change.to === 0 && change.from > 0).length
+    }
+  };
+}
+
+function pruneSnapshots(storeId, now = Date.now()) {
+  const cutoff = now - SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const index = listSnapshots(storeId);
+  // Always keep the latest snapshot: the next one is diffed against it
+  const expired = index.slice(0, -1).filter(entry => new Date(entry.takenAt).getTime() < cutoff);
+  if (!expired.length) return 0;
+
+  expired.forEach(entry => fs.rmSync(path.join(storeDir(storeId), `${entry.id}.json`), { force: true }));
+  writeJson(path.join(storeDir(storeId), 'index.json'), index.filter(entry => !expired.includes(entry)));
+  return expired.length;
+}
+
+/**
+ * Takes a snapshot of the store's catalog after a full sync (inventory changes
+ * do not bump product updated_at, so incremental syncs miss them) and appends
+ * the changes since the previous snapshot to the change log. Concurrent calls
+ * for the same store share one snapshot.
+ */
+function takeSnapshot(store) {
+  if (!inFlight.has(store.id)) {
+    inFlight.set(store.id, snapshotStore(store).finally(() => inFlight.delete(store.id)));
+  }
+  return inFlight.get(store.id);
+}
+
+async function snapshotStore(store) {
+  await ensureFreshCatalog(store, { refresh: 'full' });
+
+  const takenAt = new Date().toISOString();
+  const snapshot = { id: snapshotId(takenAt), store: store.id, takenAt, ...captureCatalog(store.catalog.listProducts()) };
+  const previous = loadSnapshot(store.id, 'latest');
+  const dir = storeDir(store.id);
+
+  writeJson(path.join(dir, `${snapshot.id}.json`), snapshot);
+
+  let changes = [];
+  if (previous) {
+    changes = diffSnapshots(previous, snapshot).changes;
+    if (changes.length) {
+      const lines = changes.map(change => JSON.stringify({
+        at: takenAt,
+        snapshot: snapshot.id,
+        variantId: change.variantId,
+        productId: change.productId,
+        sku: change.sku,
+        from: change.from,
+        to: change.to
+      }));
+      fs.appendFileSync(path.join(dir, 'changes.jsonl'), lines.join('\n') + '\n');
+    }
+  }
+
+  const variants = Object.values(snapshot.variants);
+  const entry = {
+    id: snapshot.id,
+    takenAt,
+    products: Object.keys(snapshot.products).length,
+    variants: variants.length,
+    units: variants.reduce((total, variant) => total + Math.max(variant.quantity, 0), 0)
+  };
+  writeJson(path.join(dir, 'index.json'), listSnapshots(store.id).concat(entry));
+
+  const pruned = pruneSnapshots(store.id);
+  log.info('Snapshot taken', { store: store.id, snapshot: snapshot.id, variants: entry.variants, changes: changes.length, pruned });
+
+  return { ...entry, changes: changes.length, baseline: !previous };
+}
+
+/**
+ * Quantity history of a SKU or of every variant of a product, from the change log.
+ * Returns the changes in the window plus when the item last sold out and how
+ * many units moved; `current` comes from the latest snapshot.
+ */
+function readHistory(storeId, { sku, productId, since, until } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : -Infinity;
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+  const wantedProduct = productId ? String(productId) : null;
+  const matches = entry => (sku ? entry.sku === sku : String(entry.productId) === wantedProduct);
+
+  let lines = [];
+  try {
+    lines = fs.readFileSync(path.join(storeDir(storeId), 'changes.jsonl'), 'utf8').split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const changes = lines.map(line => JSON.parse(line)).filter(entry => {
+    const at = new Date(entry.at).getTime();
+    return matches(entry) && at >= sinceTime && at <= untilTime;
+  }).map(entry => ({ ...entry, delta: (entry.to || 0) - (entry.from || 0) }));
+
+  const latest = loadSnapshot(storeId, 'latest');
+  const current = latest
+    ? Object.entries(latest.variants)
+      .filter(([, variant]) => matches(variant))
+      .map(([variantId, variant]) => ({ variantId: Number(variantId), sku: variant.sku, quantity: variant.quantity }))
+    : [];
+
+  const soldOut = changes.filter(change => change.to === 0 && change.from > 0);
+
+  return {
+    store: storeId,
+    sku: sku || null,
+    productId: wantedProduct ? Number(wantedProduct) : null,
+    current: { takenAt: latest ? latest.takenAt : null, variants: current },
+    changes,
+    soldOutAt: soldOut.length ? soldOut[soldOut.length - 1].at : null,
+    movement: {
+      unitsIn: changes.reduce((total, change) => total + Math.max(change.delta, 0), 0),
+      unitsOut: changes.reduce((total, change) => total - Math.min(change.delta, 0), 0),
+      net: changes.reduce((total, change) => total + change.delta, 0)
+    }
+  };
+}
+
+/**
+ * Snapshots every store every SNAPSHOT_INTERVAL_MINUTES (0 disables). At startup a
+ * store is only snapshotted if its latest snapshot is already due, so frequent
+ * restarts do not pile up snapshots. Returns a function that stops the scheduler.
+ */
+function startSnapshotScheduler(storeList, { intervalMinutes = SNAPSHOT_INTERVAL_MINUTES } = {}) {
+  if (!intervalMinutes || !storeList.length) return () => {};
+
+  const intervalMs = intervalMinutes * 60 * 1000;
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const store of storeList) {
+        const latest = listSnapshots(store.id).slice(-1)[0];
+        // 10% slack so timer drift never skips a whole interval
+        if (latest && Date.now() - new Date(latest.takenAt).getTime() < intervalMs * 0.9) continue;
+
+        await takeSnapshot(store).catch(error => {
+          log.error('Scheduled snapshot failed', { store: store.id, err: error });
+        });
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  log.info('Snapshot scheduler started', { intervalMinutes, stores: storeList.map(store => store.id) });
+  const initial = setTimeout(run, 0);
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return () => {
+    clearTimeout(initial);
+    clearInterval(timer);
+  };
+}
+
+module.exports = {
+  takeSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  diffSnapshots,
+  readHistory,
+  pruneSnapshots,
+  startSnapshotScheduler
+};
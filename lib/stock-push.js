@@ -0,0 +1,261 @@
+// lib/stock-push.js - Dry-run diff and apply of target stock quantities to Shopify
+const crypto = require('crypto');
+const { ensureFreshCatalog } = require('./catalog-sync');
+const { buildAvailability } = require('./availability');
+const { rulesForStore } = require('./normalization');
+const { fetchLocations, resolveLocations, fetchInventoryLevels } = require('./inventory-levels');
+const { appendAudit } = require('./audit-log');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'stock-push' });
+
+// A dry-run plan must be confirmed within this window, otherwise it has to be recomputed
+const PLAN_TTL_MINUTES = Number(process.env.STOCK_PLAN_TTL_MINUTES || 30);
+
+// plan id -> plan
+const plans = new Map();
+
+function pruneExpiredPlans() {
+  const now = Date.now();
+  for (const [id, plan] of plans) {
+    if (new Date(plan.expiresAt).getTime() <= now) plans.delete(id);
+  }
+}
+
+function parseTarget(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Resolves rows to variants: directly by `variantId`, otherwise through the matcher.
+ * Only matches that identify a single variant are accepted.
+ */
+async function resolveRows(store, rows) {
+  const resolved = [];
+  const skipped = [];
+  const toMatch = [];
+
+  rows.forEach((row, rowIndex) => {
+    if (row.variantId) {
+      const found = store.catalog.findVariantById(row.variantId);
+      if (found) resolved.push({ rowIndex, row, product: found.product, variant: found.variant });
+      else skipped.push({ rowIndex, row, reason: `Variant ${row.variantId} not in catalog` });
+    } else {
+      toMatch.push({ rowIndex, row });
+    }
+  });
+
+  if (toMatch.length) {
+    const availability = await buildAvailability(
+      store.catalog.listProducts(),
+      toMatch.map(item => item.row),
+      { brandPrefixes: store.brandPrefixes, rulesForVendor: rulesForStore(store.id) }
+    );
+
+    const byIndex = new Map(availability.results.map(result => [result.rowIndex, result]));
+    toMatch.forEach((item, i) => {
+      const result = byIndex.get(i);
+      if (!result) {
+        skipped.push({ rowIndex: item.rowIndex, row: item.row, reason: 'No unambiguous match' });
+      } else if (!result.variant) {
+        skipped.push({ rowIndex: item.rowIndex, row: item.row, reason: 'Matched a product but not a specific variant' });
+      } else {
+        const found = store.catalog.findVariantById(result.variant.variantId);
+        resolved.push({ rowIndex: item.rowIndex, row: item.row, product: found.product, variant: found.variant });
+      }
+    });
+  }
+
+  return { resolved, skipped };
+}
+
+/**
+ * Builds a dry-run plan: current vs target quantity per variant and location.
+ * Nothing is written to Shopify until the plan is applied.
+ */
+async function createStockPlan(store, rows, { location, actor }) {
+  pruneExpiredPlans();
+  await ensureFreshCatalog(store);
+
+  const allLocations = await fetchLocations(store.client);
+  const [defaultLocation] = location ? resolveLocations(allLocations, [location]) : [];
+
+  const { resolved, skipped } = await resolveRows(store, rows);
+  const candidates = [];
+
+  resolved.forEach(item => {
+    const target = parseTarget(item.row.quantity);
+    if (target === null) {
+      skipped.push({ rowIndex: item.rowIndex, row: item.row, reason: 'quantity must be a whole number >= 0' });
+      return;
+    }
+
+    const [rowLocation] = item.row.location ? resolveLocations(allLocations, [item.row.location]) : [defaultLocation];
+    if (!rowLocation) {
+      skipped.push({ rowIndex: item.rowIndex, row: item.row, reason: 'No location given' });
+      return;
+    }
+
+    candidates.push({ ...item, target, location: rowLocation });
+  });
+
+  const levels = await fetchInventoryLevels(
+    store.client,
+    candidates.map(item => item.variant.inventory_item_id),
+    Array.from(new Set(candidates.map(item => item.location.id)))
+  );
+
+  const changes = [];
+  const unchanged = [];
+
+  candidates.forEach(item => {
+    const itemLevels = levels.get(String(item.variant.inventory_item_id)) || {};
+    const current = item.location.id in itemLevels ? itemLevels[item.location.id] : null;
+    const entry = {
+      rowIndex: item.rowIndex,
+      productId: item.product.id,
+      title: item.product.title,
+      variantId: item.variant.id,
+      inventoryItemId: item.variant.inventory_item_id,
+      sku: item.variant.sku || null,
+      locationId: item.location.id,
+      locationName: item.location.name,
+      current,
+      target: item.target,
+      delta: item.target - (current || 0)
+    };
+
+    if (current === item.target) unchanged.push(entry);
+    else changes.push(entry);
+  });
+
+  const plan = {
+    id: crypto.randomBytes(12).toString('hex'),
+    store: store.id,
+    status: 'pending',
+    createdBy: actor,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + PLAN_TTL_MINUTES * 60 * 1000).toISOString(),
+    changes,
+    unchanged,
+    skipped
+  };
+  plans.set(plan.id, plan);
+
+  return plan;
+}
+
+/**
+ * The plan, or null when it expired or was created with another API key.
+ */
+function getStockPlan(id, { owner = null } = {}) {
+  pruneExpiredPlans();
+  const plan = plans.get(id);
+  return plan && plan.createdBy === owner ? plan : null;
+}
+
+/**
+ * Appends one audit record. By then the change is already in Shopify, so a
+ * failed write must not abort the run: the record goes to the error log instead.
+ */
+function recordAudit(entry) {
+  try {
+    appendAudit(entry);
+    return true;
+  } catch (error) {
+    log.error('Audit write failed, change recorded in the log only', { audit: entry, err: error });
+    return false;
+  }
+}
+
+/**
+ * Applies a pending plan with inventory_levels/set. Quantities that moved since the
+ * dry run (e.g. a sale in between) are reported as conflicts and left alone unless
+ * `force` is set. Each change is audited right after its own call, so a crash
+ * mid-run loses no record; if the audit file cannot be written the record goes
+ * to the error log and is counted in `auditFailures`.
+ */
+async function applyStockPlan(store, plan, { actor, force = false }) {
+  if (plan.status !== 'pending') {
+    throw new Error(`Plan ${plan.id} is already ${plan.status}`);
+  }
+  plan.status = 'applying';
+
+  let live;
+  try {
+    live = await fetchInventoryLevels(
+      store.client,
+      plan.changes.map(change => change.inventoryItemId),
+      Array.from(new Set(plan.changes.map(change => change.locationId)))
+    );
+  } catch (error) {
+    // Nothing was written yet, so the plan can be confirmed again
+    plan.status = 'pending';
+    throw error;
+  }
+
+  const applied = [];
+  const conflicts = [];
+  const failed = [];
+  let auditFailures = 0;
+  let completed = false;
+
+  try {
+    for (const change of plan.changes) {
+      const itemLevels = live.get(String(change.inventoryItemId)) || {};
+      const liveQuantity = change.locationId in itemLevels ? itemLevels[change.locationId] : null;
+
+      const audit = {
+        timestamp: new Date().toISOString(),
+        actor,
+        store: store.id,
+        planId: plan.id,
+        sku: change.sku,
+        variantId: change.variantId,
+        inventoryItemId: change.inventoryItemId,
+        locationId: change.locationId,
+        previous: liveQuantity,
+        target: change.target
+      };
+
+      if (liveQuantity !== change.current && !force) {
+        conflicts.push({ ...change, live: liveQuantity });
+        if (!recordAudit({ ...audit, result: 'conflict', expected: change.current })) auditFailures++;
+        continue;
+      }
+
+      try {
+        await store.client.request('inventory_levels/set.json', {
+          method: 'POST',
+          body: {
+            location_id: change.locationId,
+            inventory_item_id: change.inventoryItemId,
+            available: change.target
+          }
+        });
+      } catch (error) {
+        failed.push({ ...change, error: error.message, upstreamStatus: error.status || null });
+        if (!recordAudit({ ...audit, result: 'failed', error: error.message })) auditFailures++;
+        continue;
+      }
+
+      applied.push(change);
+      if (!recordAudit({ ...audit, result: 'applied' })) auditFailures++;
+    }
+    completed = true;
+  } finally {
+    // Some writes may already be in Shopify, so the plan must never go back to pending
+    plan.status = completed ? 'applied' : 'interrupted';
+    plan.appliedBy = actor;
+    plan.appliedAt = new Date().toISOString();
+  }
+
+  return { applied, conflicts, failed, auditFailures };
+}
+
+module.exports = {
+  createStockPlan,
+  getStockPlan,
+  applyStockPlan
+};
@@ -0,0 +1,76 @@
+// lib/stock-refresh.js - Batched refresh of variant stock totals after inventory webhooks
+const { fetchInventoryLevels } = require('./inventory-levels');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'stock-refresh' });
+
+// Webhooks for a bulk stock change arrive in bursts: items changed within this
+// window are refreshed with one inventory_levels call instead of one each
+const STOCK_REFRESH_DELAY_MS = Number(process.env.STOCK_REFRESH_DELAY_MS || 1000);
+
+// store id -> { pending: Map of inventory_item_id -> onRefreshed, timer, batches, latestBatch }
+const queues = new Map();
+
+function queueFor(storeId) {
+  if (!queues.has(storeId)) {
+    queues.set(storeId, { pending: new Map(), timer: null, batches: 0, latestBatch: new Map() });
+  }
+  return queues.get(storeId);
+}
+
+/**
+ * Fetches the total across locations of every pending item. Responses can come
+ * back in any order, so a result is dropped when the item has been sent again
+ * in a later batch or changed again since this batch was sent.
+ */
+async function flush(store) {
+  const queue = queueFor(store.id);
+  const batch = queue.pending;
+  const batchId = ++queue.batches;
+  queue.pending = new Map();
+  queue.timer = null;
+
+  batch.forEach((onRefreshed, itemId) => queue.latestBatch.set(itemId, batchId));
+
+  let levels = null;
+  try {
+    levels = await fetchInventoryLevels(store.client, Array.from(batch.keys()));
+  } catch (error) {
+    log.warn('Could not fetch inventory levels, using local stock', { store: store.id, items: batch.size, error: error.message });
+  }
+
+  batch.forEach((onRefreshed, itemId) => {
+    if (queue.latestBatch.get(itemId) !== batchId || queue.pending.has(itemId)) return;
+    queue.latestBatch.delete(itemId);
+
+    const perLocation = levels && levels.get(itemId);
+    const quantity = perLocation
+      ? Object.values(perLocation).reduce((total, available) => total + available, 0)
+      : null;
+
+    Promise.resolve(onRefreshed(quantity)).catch(error => {
+      log.error('Stock refresh handler failed', { store: store.id, inventoryItemId: itemId, err: error });
+    });
+  });
+}
+
+/**
+ * Schedules a refresh of one inventory item's total across locations.
+ * `onRefreshed(quantity)` runs once the total is known, with null when Shopify
+ * could not be reached; it does not run when a newer refresh supersedes this one.
+ */
+function scheduleStockRefresh(store, inventoryItemId, onRefreshed) {
+  const queue = queueFor(store.id);
+  queue.pending.set(String(inventoryItemId), onRefreshed);
+
+  if (!queue.timer) {
+    queue.timer = setTimeout(() => {
+      flush(store).catch(error => log.error('Stock refresh failed', { store: store.id, err: error }));
+    }, STOCK_REFRESH_DELAY_MS);
+    queue.timer.unref();
+  }
+}
+
+module.exports = {
+  scheduleStockRefresh
+};
@@ -0,0 +1,190 @@
+// lib/stock-stream.js - Stock changes from webhooks, streamed to dashboard clients as Server-Sent Events
+const { setStreamClients } = require('./metrics');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'stock-stream' });
+
+// Events kept for clients catching up with Last-Event-ID
+const STOCK_STREAM_BUFFER = Number(process.env.STOCK_STREAM_BUFFER || 5000);
+// Comment lines sent to idle streams so proxies do not close them
+const STOCK_STREAM_HEARTBEAT_SECONDS = Number(process.env.STOCK_STREAM_HEARTBEAT_SECONDS || 25);
+// How long EventSource waits before reconnecting
+const RETRY_MS = 5000;
+
+// Event ids are `<boot>-<sequence>`: an id from before a restart cannot be caught up
+const BOOT_ID = Date.now().toString(36);
+let sequence = 0;
+
+// Last STOCK_STREAM_BUFFER events, oldest first: { seq, id, data }
+const buffer = [];
+// Connected clients: { filter, send(event) }
+const subscribers = new Set();
+
+function latestId() {
+  return `${BOOT_ID}-${sequence}`;
+}
+
+// Deltas leave out empty fields to stay small
+function compact(delta) {
+  return Object.fromEntries(Object.entries(delta).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Builds a subscription filter. `skus` and `vendors` add up (a change matches
+ * either); without both, every change of the stores is sent.
+ */
+function createFilter({ stores = [], skus = [], vendors = [] } = {}) {
+  return {
+    stores: new Set(stores),
+    skus: skus.length ? new Set(skus) : null,
+    vendors: vendors.length ? new Set(vendors.map(vendor => vendor.trim().toLowerCase())) : null
+  };
+}
+
+function matchesFilter(filter, delta) {
+  if (filter.stores.size && !filter.stores.has(delta.store)) return false;
+  if (!filter.skus && !filter.vendors) return true;
+
+  return !!(filter.skus && delta.sku && filter.skus.has(delta.sku)) ||
+    !!(filter.vendors && delta.vendor && filter.vendors.has(delta.vendor.toLowerCase()));
+}
+
+/**
+ * Records stock changes of a store and sends them to matching subscribers.
+ * `source` is the webhook they came from: inventory, product or order.
+ */
+function publishStockChanges(storeId, source, changes) {
+  const at = new Date().toISOString();
+
+  changes.forEach(change => {
+    sequence++;
+    const event = { seq: sequence, id: latestId(), data: compact({ store: storeId, source, ...change, at }) };
+    buffer.push(event);
+    if (buffer.length > STOCK_STREAM_BUFFER) buffer.shift();
+
+    subscribers.forEach(subscriber => {
+      if (matchesFilter(subscriber.filter, event.data)) subscriber.send(event);
+    });
+  });
+}
+
+/**
+ * Events after `lastEventId` matching the filter. `reset` says why the client
+ * cannot catch up (server restarted, or the events it missed were dropped from
+ * the buffer) and has to reload its data instead.
+ */
+function eventsSince(lastEventId, filter) {
+  const [boot, seqText] = String(lastEventId).split('-');
+  const seq = Number(seqText);
+
+  if (boot !== BOOT_ID || !Number.isInteger(seq) || seq > sequence) {
+    return { events: [], reset: 'restarted' };
+  }
+
+  const oldest = buffer.length ? buffer[0].seq : sequence + 1;
+  if (seq < oldest - 1) return { events: [], reset: 'expired' };
+
+  return { events: buffer.filter(event => event.seq > seq && matchesFilter(filter, event.data)), reset: null };
+}
+
+/**
+ * Per-variant stock changes between two versions of a product (REST shape);
+ * `after` is null when the product was deleted. Variants whose quantity did not
+ * change are left out.
+ */
+function diffProductStock(before, after) {
+  const product = after || before;
+  const previous = new Map(((before && before.variants) || []).map(variant => [String(variant.id), variant]));
+  const changes = [];
+  const base = { productId: product.id, vendor: product.vendor || null };
+
+  ((after && after.variants) || []).forEach(variant => {
+    if (variant.inventory_quantity === undefined || variant.inventory_quantity === null) return;
+
+    const old = previous.get(String(variant.id));
+    previous.delete(String(variant.id));
+    const from = old && old.inventory_quantity !== undefined ? old.inventory_quantity : null;
+    if (from === variant.inventory_quantity) return;
+
+    changes.push({
+      ...base,
+      sku: variant.sku || null,
+      variantId: variant.id,
+      available: variant.inventory_quantity,
+      delta: from === null ? null : variant.inventory_quantity - from
+    });
+  });
+
+  // Variants left over were removed (or the whole product was)
+  previous.forEach(variant => {
+    changes.push({
+      ...base,
+      sku: variant.sku || null,
+      variantId: variant.id,
+      removed: true,
+      delta: Number.isFinite(variant.inventory_quantity) ? -variant.inventory_quantity : null
+    });
+  });
+
+  return changes;
+}
+
+function writeEvent(res, { id, type, data }) {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Serves one SSE connection: replays what the client missed since `lastEventId`,
+ * sends a `ready` event, then streams `stock` events until the client leaves.
+ */
+function openStockStream(req, res, { filter, lastEventId }) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Keep nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const catchUp = lastEventId ? eventsSince(lastEventId, filter) : { events: [], reset: null };
+  catchUp.events.forEach(event => writeEvent(res, { id: event.id, type: 'stock', data: event.data }));
+  writeEvent(res, {
+    id: latestId(),
+    type: 'ready',
+    data: { lastEventId: latestId(), replayed: catchUp.events.length, reset: catchUp.reset }
+  });
+
+  const subscriber = {
+    filter,
+    send: event => writeEvent(res, { id: event.id, type: 'stock', data: event.data })
+  };
+  subscribers.add(subscriber);
+  setStreamClients(subscribers.size);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STOCK_STREAM_HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+
+  log.info('Stock stream opened', {
+    client: req.auth ? req.auth.name : undefined,
+    replayed: catchUp.events.length,
+    reset: catchUp.reset,
+    clients: subscribers.size
+  });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+    setStreamClients(subscribers.size);
+    log.info('Stock stream closed', { client: req.auth ? req.auth.name : undefined, clients: subscribers.size });
+  });
+}
+
+module.exports = {
+  publishStockChanges,
+  diffProductStock,
+  createFilter,
+  eventsSince,
+  openStockStream
+};
@@ -0,0 +1,159 @@
+// lib/stores.js - Registry of the Shopify stores this server works with
+const fs = require('fs');
+const path = require('path');
+const { createShopifyClient } = require('./shopify-client');
+const { createCatalogStore } = require('./catalog-store');
+const { createInventoryStore } = require('./inventory-store');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'stores' });
+
+const STORES_CONFIG_FILE = process.env.STORES_CONFIG_FILE ||
+  path.join(__dirname, '..', 'config', 'stores.json');
+
+const DEFAULT_BRAND_PREFIXES = ['^LOFT\\.?73\\s*-\\s*'];
+// How full catalog syncs fetch products: a GraphQL bulk operation or paginated REST
+const CATALOG_FETCHERS = ['bulk', 'rest'];
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Invalid stores config ${file}: ${error.message}`);
+  }
+}
+
+function parseJsonEnv(name, value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid ${name} JSON: ${error.message}`);
+  }
+}
+
+function normalizeDomain(storeUrl) {
+  return String(storeUrl || '').replace(/^https?:\/\//, '').replace(/\/.*$/, '').toLowerCase();
+}
+
+/**
+ * Builds store definitions from, in order of precedence:
+ *   SHOPIFY_STORES (JSON env), STORES_CONFIG_FILE (default config/stores.json)
+ * and the legacy SHOPIFY_STORE_URL/SHOPIFY_ACCESS_TOKEN pair as store "default".
+ *
+ * Each entry: { name, storeUrl, accessToken | accessTokenEnv, apiVersion,
+ *               webhookSecret | webhookSecretEnv, brandPrefixes: [regex source, ...],
+ *               catalogFetcher: 'bulk' | 'rest' }
+ * The *Env variants name the environment variable holding the secret, so the
+ * config file itself need not hold credentials.
+ */
+function loadStoreDefinitions(env = process.env) {
+  const definitions = new Map();
+
+  if (env.SHOPIFY_STORE_URL && env.SHOPIFY_ACCESS_TOKEN) {
+    definitions.set('default', {
+      storeUrl: env.SHOPIFY_STORE_URL,
+      accessToken: env.SHOPIFY_ACCESS_TOKEN
+    });
+  }
+
+  const configured = {
+    ...readConfigFile(env.STORES_CONFIG_FILE || STORES_CONFIG_FILE),
+    ...parseJsonEnv('SHOPIFY_STORES', env.SHOPIFY_STORES)
+  };
+
+  Object.entries(configured).forEach(([id, store]) => {
+    const accessToken = store.accessTokenEnv ? env[store.accessTokenEnv] : store.accessToken;
+    if (!store.storeUrl || !accessToken) {
+      log.warn('Store is missing storeUrl or access token, skipped', { store: id });
+      return;
+    }
+
+    definitions.set(id, {
+      name: store.name,
+      storeUrl: store.storeUrl,
+      accessToken,
+      apiVersion: store.apiVersion,
+      webhookSecret: store.webhookSecretEnv ? env[store.webhookSecretEnv] : store.webhookSecret,
+      brandPrefixes: store.brandPrefixes,
+      catalogFetcher: store.catalogFetcher
+    });
+  });
+
+  return definitions;
+}
+
+/**
+ * Turns a definition into the runtime context used by routes: a Shopify client,
+ * the store's catalog cache and its webhook-fed inventory state.
+ */
+function createStore(id, definition, env = process.env) {
+  const apiVersion = definition.apiVersion || env.SHOPIFY_API_VERSION || '2024-01';
+  let catalogFetcher = definition.catalogFetcher || env.CATALOG_FETCHER || 'bulk';
+  if (!CATALOG_FETCHERS.includes(catalogFetcher)) {
+    log.warn('Unknown catalog fetcher, using bulk', { store: id, catalogFetcher });
+    catalogFetcher = 'bulk';
+  }
+
+  return {
+    id,
+    name: definition.name || id,
+    storeUrl: definition.storeUrl,
+    domain: normalizeDomain(definition.storeUrl),
+    apiVersion,
+    webhookSecret: definition.webhookSecret || env.SHOPIFY_WEBHOOK_SECRET || null,
+    brandPrefixes: (definition.brandPrefixes || DEFAULT_BRAND_PREFIXES).map(source => new RegExp(source, 'i')),
+    catalogFetcher,
+    client: createShopifyClient({
+      storeUrl: definition.storeUrl,
+      accessToken: definition.accessToken,
+      apiVersion
+    }),
+    catalog: createCatalogStore(id),
+    inventory: createInventoryStore()
+  };
+}
+
+const stores = new Map();
+loadStoreDefinitions().forEach((definition, id) => stores.set(id, createStore(id, definition)));
+
+const DEFAULT_STORE_ID = process.env.DEFAULT_STORE ||
+  (stores.has('default') ? 'default' : stores.keys().next().value);
+
+function getStore(id) {
+  return stores.get(id || DEFAULT_STORE_ID) || null;
+}
+
+function getStoreByDomain(domain) {
+  const wanted = normalizeDomain(domain);
+  return Array.from(stores.values()).find(store => store.domain === wanted) || null;
+}
+
+function listStoreIds() {
+  return Array.from(stores.keys());
+}
+
+/**
+ * Stores without their credentials, safe to return to clients.
+ */
+function listStores() {
+  return Array.from(stores.values()).map(store => ({
+    id: store.id,
+    name: store.name,
+    storeUrl: store.storeUrl,
+    apiVersion: store.apiVersion,
+    catalogFetcher: store.catalogFetcher,
+    default: store.id === DEFAULT_STORE_ID,
+    webhookSecretConfigured: !!store.webhookSecret
+  }));
+}
+
+module.exports = {
+  loadStoreDefinitions,
+  getStore,
+  getStoreByDomain,
+  listStoreIds,
+  listStores,
+  DEFAULT_STORE_ID
+};
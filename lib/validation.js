@@ -0,0 +1,177 @@
+// lib/validation.js - Declarative checks for query strings and JSON bodies
+const { badRequest } = require('./errors');
+
+/*
+ * A schema maps field names to rules:
+ *   { type, required, enum, min, max, minItems, maxItems, items, properties, pattern }
+ * Types: string, integer, number, boolean, date (ISO string), id (positive integer
+ * or string of digits, kept as given), array, object, any. `type` may be a list of
+ * types tried in order, e.g. ['boolean', 'array'].
+ * Query strings only carry strings, so in query mode integers and booleans are parsed
+ * and arrays are split on commas. Fields not in the schema are left alone.
+ */
+
+function describeType(type) {
+  return Array.isArray(type) ? type.join(' or ') : type;
+}
+
+function checkScalar(type, value, fromQuery) {
+  switch (type) {
+    case 'any':
+      return { value };
+    case 'string':
+      return typeof value === 'string' ? { value } : null;
+    case 'integer': {
+      const number = fromQuery && typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+      return Number.isInteger(number) ? { value: number } : null;
+    }
+    case 'number': {
+      const number = fromQuery && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? { value: number } : null;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      if (fromQuery && ['true', 'false'].includes(value)) return { value: value === 'true' };
+      return null;
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(new Date(value).getTime()) ? { value } : null;
+    case 'id':
+      if (Number.isInteger(value) && value > 0) return { value };
+      return typeof value === 'string' && /^\d+$/.test(value) ? { value } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks one value against a rule. Pushes { field, message } entries to `details`
+ * and returns the (coerced) value.
+ */
+function checkValue(rule, value, field, details, fromQuery) {
+  const types = [].concat(rule.type || 'any');
+  let checked = null;
+  let matchedType = null;
+
+  for (const type of types) {
+    if (type === 'array') {
+      const list = Array.isArray(value) ? value
+        : fromQuery && typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+      if (list) {
+        checked = { value: list };
+        matchedType = type;
+        break;
+      }
+    } else if (type === 'object') {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        checked = { value };
+        matchedType = type;
+        break;
+      }
+    } else {
+      checked = checkScalar(type, value, fromQuery);
+      if (checked) {
+        matchedType = type;
+        break;
+      }
+    }
+  }
+
+  if (!checked) {
+    details.push({ field, message: `must be ${/^[aeiou]/.test(describeType(rule.type)) ? 'an' : 'a'} ${describeType(rule.type)}` });
+    return value;
+  }
+
+  let result = checked.value;
+  const before = details.length;
+
+  if (rule.enum && !rule.enum.includes(result)) {
+    details.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+  }
+  if (rule.pattern && typeof result === 'string' && !rule.pattern.test(result)) {
+    details.push({ field, message: 'has an invalid format' });
+  }
+  if (typeof result === 'number') {
+    if (rule.min !== undefined && result < rule.min) details.push({ field, message: `must be at least ${rule.min}` });
+    if (rule.max !== undefined && result > rule.max) details.push({ field, message: `must be at most ${rule.max}` });
+  }
+
+  if (matchedType === 'array') {
+    if (rule.minItems !== undefined && result.length < rule.minItems) {
+      details.push({ field, message: rule.minItems === 1 ? 'must not be empty' : `must have at least ${rule.minItems} items` });
+    }
+    if (rule.maxItems !== undefined && result.length > rule.maxItems) {
+      details.push({ field, message: `must have at most ${rule.maxItems} items` });
+    }
+    if (rule.items && details.length === before) {
+      result = result.map((item, i) => checkValue(rule.items, item, `${field}[${i}]`, details, fromQuery));
+    }
+  }
+
+  if (matchedType === 'object' && rule.properties) {
+    result = checkFields(rule.properties, result, field, details, fromQuery);
+  }
+
+  return result;
+}
+
+function checkFields(schema, source, prefix, details, fromQuery) {
+  const result = { ...source };
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    const field = prefix ? `${prefix}.${name}` : name;
+    const value = source[name];
+
+    if (value === undefined || value === null || (fromQuery && value === '')) {
+      if (rule.required) details.push({ field, message: 'is required' });
+      return;
+    }
+
+    result[name] = checkValue(rule, value, field, details, fromQuery);
+  });
+
+  return result;
+}
+
+function validationError(details) {
+  return badRequest(`Invalid request: ${details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`, details);
+}
+
+/**
+ * Validates `source` against `schema`. Returns the value with parsed/coerced fields,
+ * or throws a 400 ApiError listing every problem in `details`.
+ */
+function checkSchema(schema, source, { prefix = '', fromQuery = false } = {}) {
+  const details = [];
+  const value = checkFields(schema, source || {}, prefix, details, fromQuery);
+
+  if (details.length) throw validationError(details);
+  return value;
+}
+
+/**
+ * Express middleware validating `req.query` and/or `req.body`. On success the parsed
+ * values replace the originals, so handlers read numbers and booleans directly.
+ */
+function validate({ query, body } = {}) {
+  return (req, res, next) => {
+    const details = [];
+    const parsedQuery = query ? checkFields(query, req.query || {}, 'query', details, true) : req.query;
+    const rawBody = req.body && !Buffer.isBuffer(req.body) ? req.body : {};
+
+    if (body && (typeof rawBody !== 'object' || Array.isArray(rawBody))) {
+      details.push({ field: 'body', message: 'must be a JSON object' });
+    }
+    const parsedBody = body && !details.length ? checkFields(body, rawBody, 'body', details, false) : req.body;
+
+    if (details.length) return next(validationError(details));
+
+    req.query = parsedQuery;
+    if (body) req.body = parsedBody;
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  checkSchema
+};
@@ -0,0 +1,141 @@
+// lib/webhook-tracker.js - Per-topic webhook counters and delivery deduplication
+const { logger } = require('./logger');
+const { recordWebhook } = require('./metrics');
+const { toApiError, errorBody } = require('./errors');
+const { checkSchema } = require('./validation');
+
+const log = logger.child({ module: 'webhook-tracker' });
+
+// Shopify retries deliveries for up to 48 hours, reusing X-Shopify-Webhook-Id
+const DEDUPE_TTL_MS = 48 * 60 * 60 * 1000;
+const DEDUPE_MAX_ENTRIES = 10000;
+
+// webhookId -> processedAt (ms), insertion ordered so the oldest entries go first
+const seenWebhookIds = new Map();
+
+// topic -> { lastReceivedAt, processed, failed, duplicates, ignored }
+const topicStats = new Map();
+
+function emptyStats() {
+  return {
+    lastReceivedAt: null,
+    processed: 0,
+    failed: 0,
+    duplicates: 0,
+    ignored: 0
+  };
+}
+
+function getStats(topic) {
+  let stats = topicStats.get(topic);
+  if (!stats) {
+    stats = emptyStats();
+    topicStats.set(topic, stats);
+  }
+  return stats;
+}
+
+function pruneSeen(now) {
+  for (const [webhookId, seenAt] of seenWebhookIds) {
+    if (now - seenAt < DEDUPE_TTL_MS && seenWebhookIds.size <= DEDUPE_MAX_ENTRIES) break;
+    seenWebhookIds.delete(webhookId);
+  }
+}
+
+function isDuplicate(webhookId) {
+  if (!webhookId) return false;
+  pruneSeen(Date.now());
+  return seenWebhookIds.has(webhookId);
+}
+
+function markSeen(webhookId) {
+  if (!webhookId) return;
+  seenWebhookIds.set(webhookId, Date.now());
+}
+
+function recordReceived(topic) {
+  getStats(topic).lastReceivedAt = new Date().toISOString();
+}
+
+function recordResult(topic, result) {
+  const stats = getStats(topic);
+  if (result in stats) stats[result]++;
+}
+
+function getTopicStats(topic) {
+  return { ...(topicStats.get(topic) || emptyStats()) };
+}
+
+function getAllStats() {
+  const result = {};
+  for (const [topic, stats] of topicStats) {
+    result[topic] = { ...stats };
+  }
+  return result;
+}
+
+/**
+ * Builds an Express handler that dispatches a verified webhook to handlers[topic],
+ * skips deliveries already processed and keeps per-topic counters. Payloads are
+ * checked against `schemas[topic]` first, if given.
+ * Failed deliveries are not marked as seen, so Shopify's retry is processed again.
+ */
+function createWebhookHandler(handlers, { schemas = {} } = {}) {
+  return async (req, res) => {
+    const topic = req.get('X-Shopify-Topic') || 'unknown';
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+
+    recordReceived(topic);
+
+    if (isDuplicate(webhookId)) {
+      log.info('Duplicate webhook skipped', { webhookId, topic });
+      recordResult(topic, 'duplicates');
+      recordWebhook(topic, 'duplicate');
+      return res.json({ success: true, duplicate: true, message: 'Webhook already processed' });
+    }
+
+    const handler = handlers[topic];
+
+    if (!handler) {
+      recordResult(topic, 'ignored');
+      recordWebhook(topic, 'ignored');
+      markSeen(webhookId);
+      return res.json({ success: true, message: `Topic ${topic} ignored` });
+    }
+
+    try {
+      const payload = schemas[topic] ? checkSchema(schemas[topic], req.body, { prefix: 'body' }) : req.body;
+      const message = await handler(payload, req);
+      recordResult(topic, 'processed');
+      recordWebhook(topic, 'processed');
+      markSeen(webhookId);
+
+      res.json({
+        success: true,
+        message: message || `${topic} processed`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      const apiError = toApiError(error);
+      log.error('Webhook processing failed', { webhookId, topic, code: apiError.code, err: error });
+      recordResult(topic, 'failed');
+      recordWebhook(topic, 'failed');
+
+      res.status(apiError.status).json(errorBody(apiError));
+    }
+  };
+}
+
+function reset() {
+  seenWebhookIds.clear();
+  topicStats.clear();
+}
+
+module.exports = {
+  createWebhookHandler,
+  isDuplicate,
+  markSeen,
+  getTopicStats,
+  getAllStats,
+  reset
+};
@@ -0,0 +1,819 @@
+// routes/api.js - Dashboard API: catalog, availability, matching rules, jobs, locations, stock stream and stock push
+const express = require('express');
+const multer = require('multer');
+const { ensureFreshCatalog, fetchProductCount } = require('../lib/catalog-sync');
+const stores = require('../lib/stores');
+const { buildAvailability, compareStores, collectInventoryItemIds, applyLocationLevels } = require('../lib/availability');
+const { buildReconciliation } = require('../lib/reconciliation');
+const { buildIndex, matchRow, traceTitle } = require('../lib/matcher');
+const { getRules, compileRules, rulesForStore, saveRules, describeRules } = require('../lib/normalization');
+const { parseProductsCsv } = require('../lib/csv');
+const { exportAvailability, EXPORT_FORMATS } = require('../lib/export');
+const { createStockPlan, getStockPlan, applyStockPlan } = require('../lib/stock-push');
+const { readAudit } = require('../lib/audit-log');
+const { createJob, getJob, listJobs, cancelJob, describeJob } = require('../lib/jobs');
+const { fetchLocations, resolveLocations, fetchInventoryLevels, describeLevels } = require('../lib/inventory-levels');
+const { fetchInventoryCosts } = require('../lib/inventory-costs');
+const {
+  buildAnalytics, filterProducts, fetchCollectionProductIds, collectTrackedInventoryItemIds, GROUP_BY, SORT_FIELDS
+} = require('../lib/analytics');
+const { takeSnapshot, listSnapshots, loadSnapshot, diffSnapshots, readHistory } = require('../lib/snapshots');
+const { openStockStream, createFilter } = require('../lib/stock-stream');
+const { logger } = require('../lib/logger');
+const { recordMatchRate } = require('../lib/metrics');
+const { ApiError, badRequest, notFound, conflict, errorBody } = require('../lib/errors');
+const { validate, checkSchema } = require('../lib/validation');
+
+const router = express.Router();
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+
+// Schema fragments shared by the routes below (see lib/validation.js)
+const STORE_PARAMS = {
+  store: { type: 'string' },
+  stores: { type: 'array', minItems: 1, items: { type: 'string' } }
+};
+const REFRESH = { type: 'string', enum: ['full', 'incremental'] };
+const FORMAT = { type: 'string', enum: ['json', ...EXPORT_FORMATS] };
+const LOCATION = { type: ['id', 'string'] };
+const CSV_ROW = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    sku: { type: ['string', 'number'] },
+    brand: { type: 'string' },
+    quantity: { type: ['number', 'string'] }
+  }
+};
+
+/**
+ * Store ids a request targets: `stores` (array in the body, comma-separated in the
+ * query or a form field) to compare several stores, otherwise `store`, otherwise the default.
+ */
+function requestedStoreIds(req) {
+  const params = { ...req.query, ...(req.body && !Buffer.isBuffer(req.body) ? req.body : {}) };
+
+  if (params.stores) {
+    return Array.isArray(params.stores) ? params.stores.map(String) : String(params.stores).split(',');
+  }
+  return [params.store || stores.DEFAULT_STORE_ID];
+}
+
+/**
+ * Resolves the target store(s) into req.stores (and req.store for the first one).
+ */
+function resolveStores(req, res, next) {
+  const ids = requestedStoreIds(req);
+  const resolved = ids.map(id => stores.getStore(id));
+  const unknown = ids.filter((id, i) => !resolved[i]);
+
+  if (!ids.length || unknown.length) {
+    return next(notFound(`Unknown store: ${unknown.join(', ') || '(none configured)'}`));
+  }
+
+  req.stores = resolved;
+  req.store = resolved[0];
+  next();
+}
+
+// Health check
+router.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    shopify: {
+      configured: stores.listStoreIds().length > 0,
+      defaultStore: stores.DEFAULT_STORE_ID || null,
+      stores: stores.listStoreIds()
+    }
+  });
+});
+
+// Configured stores (without credentials)
+router.get('/api/stores', (req, res) => {
+  res.json({ success: true, stores: stores.listStores() });
+});
+
+// Get total products count
+router.get('/api/shopify/products-count', validate({ query: STORE_PARAMS }), resolveStores, async (req, res, next) => {
+  try {
+    const count = await fetchProductCount(req.store.client);
+    res.json({ success: true, store: req.store.id, count });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Catalog cache status
+router.get('/api/shopify/catalog', validate({ query: STORE_PARAMS }), resolveStores, (req, res) => {
+  res.json({ success: true, store: req.store.id, cache: req.store.catalog.getMeta() });
+});
+
+// Force a catalog refresh (mode: 'full' or 'incremental', the default)
+router.post('/api/shopify/catalog/sync', validate({
+  query: STORE_PARAMS,
+  body: { ...STORE_PARAMS, mode: REFRESH }
+}), resolveStores, async (req, res, next) => {
+  try {
+    const catalog = await ensureFreshCatalog(req.store, { refresh: req.body.mode || 'incremental' });
+    res.json({ success: true, store: req.store.id, cache: catalog });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stock analytics by vendor, product type, tag or status.
+// Filters: vendor, productType, tag, status, collection (id or handle); values can be comma-separated.
+// groupBy, sort, order, page, pageSize; includeCost=true adds values at cost, which looks up the
+// cost of every tracked inventory item in the filtered products (slow on a cold cost cache).
+const ANALYTICS_QUERY = {
+  ...STORE_PARAMS,
+  vendor: { type: 'string' },
+  productType: { type: 'string' },
+  tag: { type: 'string' },
+  status: { type: 'string' },
+  collection: { type: 'string' },
+  groupBy: { type: 'string', enum: Object.keys(GROUP_BY) },
+  sort: { type: 'string', enum: SORT_FIELDS },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  page: { type: 'integer', min: 1 },
+  pageSize: { type: 'integer', min: 1, max: 500 },
+  includeCost: { type: 'boolean' },
+  refresh: REFRESH
+};
+
+router.get('/api/shopify/analytics', validate({ query: ANALYTICS_QUERY }), resolveStores, async (req, res, next) => {
+  try {
+    const {
+      vendor, productType, tag, status, collection, groupBy = 'vendor', sort, order, page = 1, pageSize = 50, includeCost = false
+    } = req.query;
+
+    const catalog = await ensureFreshCatalog(req.store, { refresh: req.query.refresh });
+
+    let productIds;
+    if (collection) {
+      productIds = await fetchCollectionProductIds(req.store.client, collection);
+      if (!productIds) throw notFound(`Unknown collection: ${collection}`);
+    }
+
+    const products = filterProducts(req.store.catalog.listProducts(), { vendor, productType, tag, status, productIds });
+    const costs = includeCost
+      ? await fetchInventoryCosts(req.store, collectTrackedInventoryItemIds(products))
+      : null;
+
+    res.json({
+      success: true,
+      store: req.store.id,
+      filters: { vendor, productType, tag, status, collection },
+      ...buildAnalytics(products, { groupBy, costs, sort, order, page, pageSize }),
+      cache: catalog
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stock snapshots taken by the scheduler (or on demand) and the history derived from them
+router.get('/api/snapshots', validate({ query: STORE_PARAMS }), resolveStores, (req, res, next) => {
+  try {
+    res.json({ success: true, store: req.store.id, snapshots: listSnapshots(req.store.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/snapshots', validate({ query: STORE_PARAMS, body: STORE_PARAMS }), resolveStores, async (req, res, next) => {
+  try {
+    const snapshot = await takeSnapshot(req.store);
+    res.status(201).json({ success: true, store: req.store.id, snapshot });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Diff between two snapshots: `from` and `to` are snapshot ids, 'latest' or 'previous'
+// (default: previous -> latest)
+router.get('/api/snapshots/diff', validate({
+  query: { ...STORE_PARAMS, from: { type: 'string' }, to: { type: 'string' } }
+}), resolveStores, (req, res, next) => {
+  try {
+    const { from = 'previous', to = 'latest' } = req.query;
+    const fromSnapshot = loadSnapshot(req.store.id, from);
+    const toSnapshot = loadSnapshot(req.store.id, to);
+
+    if (!fromSnapshot || !toSnapshot) throw notFound(`Snapshot not found: ${!fromSnapshot ? from : to}`);
+
+    res.json({ success: true, store: req.store.id, ...diffSnapshots(fromSnapshot, toSnapshot) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Quantity changes of a SKU or product over time (since/until: ISO dates)
+router.get('/api/snapshots/history', validate({
+  query: { ...STORE_PARAMS, sku: { type: 'string' }, productId: { type: 'id' }, since: { type: 'date' }, until: { type: 'date' } }
+}), resolveStores, (req, res, next) => {
+  try {
+    const { sku, productId, since, until } = req.query;
+
+    if (!sku && !productId) throw badRequest('Pass sku or productId');
+
+    res.json({ success: true, ...readHistory(req.store.id, { sku, productId, since, until }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Live stock changes from the inventory, product and order webhooks, as Server-Sent Events.
+// Reconnecting clients catch up from Last-Event-ID (or ?lastEventId=).
+router.get('/api/stock/stream', validate({
+  query: {
+    ...STORE_PARAMS,
+    skus: { type: 'array', items: { type: 'string' } },
+    vendors: { type: 'array', items: { type: 'string' } },
+    lastEventId: { type: 'string' }
+  }
+}), resolveStores, (req, res) => {
+  const { skus = [], vendors = [] } = req.query;
+
+  openStockStream(req, res, {
+    filter: createFilter({ stores: req.stores.map(store => store.id), skus, vendors }),
+    lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+  });
+});
+
+/**
+ * Matches CSV rows against a store's cached catalog and builds the availability response.
+ * Shared by the JSON and the CSV upload endpoints. When run as a background job,
+ * `job` receives phase updates and cancellation is checked after every catalog
+ * page, every matched row and between steps.
+ */
+async function runAvailability(store, csvProducts, { includeProduct, locations: locationFilter, refresh, reconcile }, job = null) {
+  const log = logger.child({ store: store.id, jobId: job ? job.id : undefined });
+  log.info('Availability run started', { csvProducts: csvProducts.length });
+
+  // Read the catalog from the local cache, refreshing it only when stale
+  if (job) job.progress('fetching', null, null, 'Checking catalog cache');
+  const catalog = await ensureFreshCatalog(store, {
+    refresh,
+    onProgress: job && (({ page, totalPages, message }) => {
+      job.progress('fetching', page, totalPages, message || `Fetching page ${page}${totalPages ? ` of ${totalPages}` : ''}`);
+    }),
+    checkCancelled: job && job.checkCancelled
+  });
+  if (job) job.checkCancelled();
+  const allProducts = store.catalog.listProducts();
+
+  // Brand breakdown for debugging
+  const brandBreakdown = {};
+  allProducts.forEach(p => {
+    const vendor = p.vendor || 'Unknown';
+    brandBreakdown[vendor] = (brandBreakdown[vendor] || 0) + 1;
+  });
+  log.debug('Catalog loaded', { products: allProducts.length, cacheAgeSeconds: catalog.ageSeconds, brandBreakdown });
+
+  // Now match with CSV products
+  const availability = await buildAvailability(allProducts, csvProducts, {
+    includeProduct,
+    brandPrefixes: store.brandPrefixes,
+    rulesForVendor: rulesForStore(store.id),
+    onProgress: job && (({ row, totalRows }) => {
+      job.checkCancelled();
+      job.progress('matching', row, totalRows, `Matching row ${row} of ${totalRows}`);
+    })
+  });
+  const { stats } = availability;
+
+  if (locationFilter) {
+    if (job) job.progress('locations', null, null, 'Fetching stock per location');
+    const locations = resolveLocations(
+      await fetchLocations(store.client),
+      Array.isArray(locationFilter) ? locationFilter : []
+    );
+    const levels = await fetchInventoryLevels(
+      store.client,
+      collectInventoryItemIds(availability),
+      locations.map(location => location.id)
+    );
+    applyLocationLevels(availability, levels, locations);
+    log.info('Stock limited to locations', { locations: locations.map(l => l.name) });
+  }
+
+  // Reconciliation mode: the reverse view, stock Shopify has that the CSV does not mention
+  const reconciliation = reconcile ? buildReconciliation(allProducts, csvProducts, availability) : undefined;
+  if (reconciliation) log.info('Reconciliation built', reconciliation.summary);
+
+  if (csvProducts.length) recordMatchRate(store.id, Number(stats.matchRate) / 100);
+  log.info('Availability run complete', {
+    csvProducts: stats.totalCsvProducts,
+    shopifyProducts: stats.totalShopifyProducts,
+    matched: stats.matchedProducts,
+    resolvedToVariant: stats.resolvedToVariant,
+    ambiguous: stats.ambiguousProducts,
+    unmatched: stats.unmatchedProducts,
+    matchRate: Number(stats.matchRate),
+    cacheAgeSeconds: catalog.ageSeconds
+  });
+
+  return {
+    store: store.id,
+    ...availability,
+    stats: { ...stats, brandBreakdown },
+    reconciliation,
+    cache: catalog
+  };
+}
+
+/**
+ * Runs availability for one store, or for each store plus a per-row comparison
+ * when several are requested. Resolves to { availability } or { comparison }.
+ */
+async function runForStores(storeList, csvProducts, options, job = null) {
+  if (storeList.length === 1) {
+    return { availability: await runAvailability(storeList[0], csvProducts, options, job) };
+  }
+
+  const byStore = {};
+  for (const store of storeList) {
+    const storeJob = job && {
+      progress: (phase, current, total, message) => job.progress(phase, current, total, `[${store.id}] ${message}`),
+      checkCancelled: job.checkCancelled
+    };
+    byStore[store.id] = await runAvailability(store, csvProducts, options, storeJob);
+  }
+
+  return {
+    comparison: {
+      stores: byStore,
+      comparison: compareStores(csvProducts, byStore)
+    }
+  };
+}
+
+/**
+ * Sends availability as JSON, or as a downloadable CSV/XLSX when `format` asks for it.
+ * Multi-store comparisons are JSON only.
+ */
+async function sendAvailability(res, { availability, comparison }, csvProducts, format, extra = {}) {
+  if (comparison) {
+    return res.json({ success: true, ...extra, ...comparison });
+  }
+
+  if (format && format !== 'json') {
+    const file = await exportAvailability(availability, csvProducts, format);
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    return res.send(file.buffer);
+  }
+
+  res.json({ success: true, ...extra, ...availability });
+}
+
+/**
+ * Rejects export formats we cannot produce; returns an error message or null.
+ */
+function formatError(format, isComparison, reconcile = false) {
+  if (!format || format === 'json') return null;
+  if (!EXPORT_FORMATS.includes(format)) return `Unsupported format: ${format}`;
+  if (isComparison) return 'File export is only available for a single store';
+  if (reconcile) return 'Reconciliation is only available as JSON';
+  return null;
+}
+
+/**
+ * Runs availability as a background job, owned by the calling API key, and
+ * answers 202 with where to poll.
+ */
+function submitAvailabilityJob(req, res, csvProducts, options, extra = {}) {
+  const job = createJob('availability', async ctx => {
+    const result = await runForStores(req.stores, csvProducts, options, ctx);
+    return { ...result, csvProducts, extra };
+  }, { owner: req.auth.name });
+
+  res.status(202).json({
+    success: true,
+    job: describeJob(job),
+    statusUrl: `/api/jobs/${job.id}`,
+    resultUrl: `/api/jobs/${job.id}/result`
+  });
+}
+
+const AVAILABILITY_OPTIONS = {
+  format: FORMAT,
+  async: { type: 'boolean' },
+  includeProduct: { type: 'boolean' },
+  reconcile: { type: 'boolean' }
+};
+
+// Enhanced products availability endpoint, served from the local catalog cache
+router.post('/api/shopify/products-availability', validate({
+  query: { ...STORE_PARAMS, ...AVAILABILITY_OPTIONS, refresh: REFRESH },
+  body: {
+    ...STORE_PARAMS,
+    ...AVAILABILITY_OPTIONS,
+    products: { type: 'array', required: true, minItems: 1, items: CSV_ROW },
+    locations: { type: ['boolean', 'array'], items: LOCATION }
+  }
+}), resolveStores, async (req, res, next) => {
+  try {
+    const { products: csvProducts, locations } = req.body;
+    const format = req.query.format || req.body.format;
+    const reconcile = req.body.reconcile === true || req.query.reconcile === true;
+
+    const invalidFormat = formatError(format, req.stores.length > 1, reconcile);
+    if (invalidFormat) throw badRequest(invalidFormat);
+
+    const options = {
+      // The full Shopify product is opt-in: it makes responses many times larger
+      includeProduct: req.body.includeProduct === true || req.query.includeProduct === true,
+      // Per-location stock: `locations: true` for every location, or a list of ids/names
+      locations,
+      refresh: req.query.refresh,
+      reconcile
+    };
+
+    // Job mode: long runs outlast proxy timeouts, so hand back a job id to poll instead
+    if (req.query.async || req.body.async) {
+      return submitAvailabilityJob(req, res, csvProducts, options);
+    }
+
+    const result = await runForStores(req.stores, csvProducts, options);
+
+    await sendAvailability(res, result, csvProducts, format);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+const DELIMITER_NAMES = { tab: '\t', semicolon: ';', comma: ',' };
+
+const CSV_UPLOAD_PARAMS = {
+  ...STORE_PARAMS,
+  ...AVAILABILITY_OPTIONS,
+  refresh: REFRESH,
+  delimiter: { type: 'string' },
+  encoding: { type: 'string' },
+  mapping: { type: 'string' },
+  name: { type: 'string' },
+  sku: { type: 'string' },
+  quantity: { type: 'string' },
+  brand: { type: 'string' },
+  locations: { type: 'string' }
+};
+
+function parseMapping(value) {
+  try {
+    const mapping = JSON.parse(value);
+    if (mapping && typeof mapping === 'object' && !Array.isArray(mapping)) return mapping;
+  } catch (error) {
+    // reported below
+  }
+  throw badRequest('mapping must be a JSON object', [{ field: 'mapping', message: 'must be a JSON object' }]);
+}
+
+/**
+ * Reads upload options from the query string or, for multipart uploads, the form fields.
+ * The column mapping is either `mapping` as JSON or individual name/sku/quantity/brand params.
+ */
+function csvUploadOptions(req) {
+  const params = checkSchema(CSV_UPLOAD_PARAMS, { ...req.query, ...(req.file ? req.body : {}) }, { fromQuery: true });
+  const mapping = params.mapping ? parseMapping(params.mapping) : {};
+
+  ['name', 'sku', 'quantity', 'brand'].forEach(field => {
+    if (params[field] !== undefined) mapping[field] = params[field];
+  });
+
+  let locations;
+  if (params.locations === 'all' || params.locations === 'true') locations = true;
+  else if (params.locations) locations = params.locations.split(',');
+
+  return {
+    delimiter: DELIMITER_NAMES[params.delimiter] || params.delimiter,
+    encoding: params.encoding,
+    mapping,
+    locations,
+    includeProduct: params.includeProduct === true,
+    reconcile: params.reconcile === true,
+    format: params.format,
+    async: params.async === true,
+    refresh: params.refresh
+  };
+}
+
+// Server-side CSV/TSV upload: raw body (text/csv) or multipart field `file`
+router.post(
+  '/api/shopify/products-availability/csv',
+  upload.single('file'),
+  express.raw({ type: ['text/*', 'application/csv', 'application/octet-stream'], limit: '20mb' }),
+  resolveStores,
+  async (req, res, next) => {
+    try {
+      const buffer = req.file ? req.file.buffer : req.body;
+      if (!Buffer.isBuffer(buffer) || !buffer.length) {
+        throw badRequest('Send the CSV as the request body (text/csv) or as multipart field "file"');
+      }
+
+      const options = csvUploadOptions(req);
+
+      const invalidFormat = formatError(options.format, req.stores.length > 1, options.reconcile);
+      if (invalidFormat) throw badRequest(invalidFormat);
+
+      const { products: csvProducts, meta } = parseProductsCsv(buffer, options);
+      logger.info('Parsed CSV upload', { rows: meta.rows, encoding: meta.encoding, delimiter: meta.delimiter });
+      if (!csvProducts.length) throw new ApiError(400, 'INVALID_CSV', 'CSV has a header but no rows');
+
+      if (options.async) {
+        return submitAvailabilityJob(req, res, csvProducts, options, { csv: meta });
+      }
+
+      const result = await runForStores(req.stores, csvProducts, options);
+
+      await sendAvailability(res, result, csvProducts, options.format, { csv: meta });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Title normalization rules (see lib/normalization.js); edits apply without a restart
+router.get('/api/matching/rules', (req, res, next) => {
+  try {
+    res.json({ success: true, ...describeRules() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replaces the rules file with the request body, once it validates. The sections are
+// checked in depth by saveRules(); an empty body would silently drop every rule.
+const RULES_SECTIONS = { default: { type: 'object' }, vendors: { type: 'object' }, stores: { type: 'object' } };
+
+router.put('/api/matching/rules', validate({ body: RULES_SECTIONS }), (req, res, next) => {
+  try {
+    const keys = Object.keys(req.body);
+    const unknown = keys.filter(key => !(key in RULES_SECTIONS));
+    if (unknown.length) {
+      throw badRequest(`Invalid request: unknown rules section(s): ${unknown.join(', ')}`,
+        unknown.map(key => ({ field: `body.${key}`, message: 'is not a rules section (default, vendors, stores)' })));
+    }
+    if (!keys.length) {
+      throw badRequest('Invalid request: body must contain default, vendors or stores',
+        [{ field: 'body', message: 'must contain default, vendors or stores' }]);
+    }
+
+    saveRules(req.body);
+    logger.info('Normalization rules updated', { actor: req.auth.name });
+
+    res.json({ success: true, ...describeRules() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// How a title normalizes, stage by stage, and which products it would match.
+// `rules` tries a draft of the rules file without saving it.
+router.post('/api/matching/preview', validate({
+  query: { store: { type: 'string' }, refresh: REFRESH },
+  body: {
+    store: { type: 'string' },
+    title: { type: 'string', required: true },
+    sku: { type: ['string', 'number'] },
+    brand: { type: 'string' },
+    rules: { type: 'object' }
+  }
+}), resolveStores, async (req, res, next) => {
+  try {
+    const { title, sku, brand, rules: draft } = req.body;
+    const store = req.store;
+    const rulesForVendor = rulesForStore(store.id, draft ? compileRules(draft) : getRules());
+
+    const catalog = await ensureFreshCatalog(store, { refresh: req.query.refresh });
+    const index = buildIndex(store.catalog.listProducts(), { brandPrefixes: store.brandPrefixes, rulesForVendor });
+    const normalizedTitles = new Map(index.products.map(entry => [entry.product.id, entry.title]));
+    const match = matchRow(index, { name: title, sku, brand });
+
+    res.json({
+      success: true,
+      store: store.id,
+      rulesSource: draft ? 'draft' : 'file',
+      title,
+      ...traceTitle(title, store.brandPrefixes, rulesForVendor(brand || null)),
+      match: {
+        status: match.status,
+        strategy: match.strategy,
+        confidence: match.confidence,
+        candidates: match.candidates.map(candidate => ({
+          ...candidate,
+          normalizedTitle: normalizedTitles.get(candidate.productId)
+        }))
+      },
+      cache: catalog
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Background jobs; each API key only sees the jobs it submitted
+router.get('/api/jobs', (req, res) => {
+  res.json({ success: true, jobs: listJobs({ owner: req.auth.name }) });
+});
+
+router.get('/api/jobs/:id', (req, res, next) => {
+  const job = getJob(req.params.id, { owner: req.auth.name });
+  if (!job) return next(notFound('Job not found or expired'));
+
+  res.json({ success: true, job: describeJob(job) });
+});
+
+// Job result, as JSON or as a CSV/XLSX download with ?format=
+router.get('/api/jobs/:id/result', validate({ query: { format: FORMAT } }), async (req, res, next) => {
+  try {
+    const job = getJob(req.params.id, { owner: req.auth.name });
+    if (!job) throw notFound('Job not found or expired');
+
+    // The failure is answered as it would have been without the job
+    if (job.status === 'failed') {
+      return res.status(job.failureStatus).json({ success: false, error: job.error, job: describeJob(job) });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ ...errorBody(conflict(`Job is ${job.status}`)), job: describeJob(job) });
+    }
+
+    const format = req.query.format;
+    const reconciled = !!(job.result.availability && job.result.availability.reconciliation);
+    const invalidFormat = formatError(format, !!job.result.comparison, reconciled);
+    if (invalidFormat) throw badRequest(invalidFormat);
+
+    const { csvProducts, extra, ...result } = job.result;
+    await sendAvailability(res, result, csvProducts, format, { job: describeJob(job), ...extra });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/api/jobs/:id', (req, res, next) => {
+  const job = getJob(req.params.id, { owner: req.auth.name });
+  if (!job) return next(notFound('Job not found or expired'));
+
+  if (!cancelJob(job.id, { owner: req.auth.name })) {
+    return res.status(409).json({ ...errorBody(conflict(`Job is already ${job.status}`)), job: describeJob(job) });
+  }
+
+  res.json({ success: true, job: describeJob(job) });
+});
+
+// List store locations (warehouse, shop, ...)
+router.get('/api/shopify/locations', validate({ query: STORE_PARAMS }), resolveStores, async (req, res, next) => {
+  try {
+    const locations = await fetchLocations(req.store.client);
+    res.json({
+      success: true,
+      store: req.store.id,
+      locations: locations.map(location => ({
+        id: location.id,
+        name: location.name,
+        active: location.active
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stock per inventory item and location. Items can be given by inventoryItemIds or skus.
+router.post('/api/shopify/inventory-levels', validate({
+  query: STORE_PARAMS,
+  body: {
+    ...STORE_PARAMS,
+    inventoryItemIds: { type: 'array', items: { type: 'id' } },
+    skus: { type: 'array', items: { type: 'string' } },
+    locations: { type: 'array', items: LOCATION }
+  }
+}), resolveStores, async (req, res, next) => {
+  try {
+    const { inventoryItemIds = [], skus = [], locations: locationFilter = [] } = req.body;
+
+    const items = inventoryItemIds.map(id => ({ inventoryItemId: String(id), sku: null }));
+    const unknownSkus = [];
+
+    if (skus.length) {
+      await ensureFreshCatalog(req.store);
+      skus.forEach(sku => {
+        const match = req.store.catalog.findVariantBySku(sku);
+        if (match) {
+          items.push({ inventoryItemId: String(match.variant.inventory_item_id), sku });
+        } else {
+          unknownSkus.push(sku);
+        }
+      });
+    }
+
+    const locations = resolveLocations(await fetchLocations(req.store.client), locationFilter);
+    const levels = await fetchInventoryLevels(
+      req.store.client,
+      items.map(item => item.inventoryItemId),
+      locations.map(location => location.id)
+    );
+
+    res.json({
+      success: true,
+      store: req.store.id,
+      locations: locations.map(location => ({ id: location.id, name: location.name })),
+      levels: items.map(item => ({
+        ...item,
+        ...describeLevels(levels.get(item.inventoryItemId), locations)
+      })),
+      unknownSkus
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stock push, step 1: dry-run diff of current vs target quantity per variant and location.
+// rows: [{ sku | variantId, name?, quantity, location? }], location: default location id or name
+// Row quantities are checked per row: invalid ones end up in the plan's `skipped`
+const PLAN_ROW = {
+  type: 'object',
+  properties: {
+    sku: { type: ['string', 'number'] },
+    variantId: { type: 'id' },
+    name: { type: 'string' },
+    quantity: { type: ['number', 'string'] },
+    location: LOCATION
+  }
+};
+
+router.post('/api/shopify/inventory/plan', validate({
+  query: STORE_PARAMS,
+  body: { ...STORE_PARAMS, rows: { type: 'array', required: true, minItems: 1, items: PLAN_ROW }, location: LOCATION }
+}), resolveStores, async (req, res, next) => {
+  try {
+    const { rows, location } = req.body;
+
+    const plan = await createStockPlan(req.store, rows, { location, actor: req.auth.name });
+    logger.info('Stock plan created', { planId: plan.id, store: req.store.id, changes: plan.changes.length, skipped: plan.skipped.length });
+
+    res.json({
+      success: true,
+      dryRun: true,
+      plan,
+      applyUrl: `/api/shopify/inventory/plan/${plan.id}/apply`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/shopify/inventory/plan/:id', (req, res, next) => {
+  const plan = getStockPlan(req.params.id, { owner: req.auth.name });
+  if (!plan) return next(notFound('Plan not found or expired'));
+
+  res.json({ success: true, plan });
+});
+
+// Stock push, step 2: apply a confirmed plan with inventory_levels/set
+router.post('/api/shopify/inventory/plan/:id/apply', validate({ body: { force: { type: 'boolean' } } }), async (req, res, next) => {
+  try {
+    const plan = getStockPlan(req.params.id, { owner: req.auth.name });
+    if (!plan) throw notFound('Plan not found or expired');
+    if (plan.status !== 'pending') throw conflict(`Plan is already ${plan.status}`);
+
+    const result = await applyStockPlan(stores.getStore(plan.store), plan, {
+      actor: req.auth.name,
+      force: req.body.force === true
+    });
+    logger.info('Stock plan applied', {
+      planId: plan.id,
+      actor: req.auth.name,
+      applied: result.applied.length,
+      conflicts: result.conflicts.length,
+      failed: result.failed.length,
+      auditFailures: result.auditFailures
+    });
+
+    res.json({ success: result.failed.length === 0, planId: plan.id, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Audit trail of pushed stock changes (most recent first)
+router.get('/api/shopify/inventory/audit', validate({
+  query: { store: { type: 'string' }, sku: { type: 'string' }, actor: { type: 'string' }, limit: { type: 'integer', min: 1, max: 1000 } }
+}), (req, res, next) => {
+  try {
+    const { store, sku, actor, limit = 100 } = req.query;
+    res.json({ success: true, entries: readAudit({ limit, store, sku, actor }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
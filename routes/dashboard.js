@@ -0,0 +1,206 @@
+// routes/dashboard.js - Store info and the webhook-fed local state: stock, reservations, catalog, alerts
+const express = require('express');
+const stores = require('../lib/stores');
+const { ensureFreshCatalog } = require('../lib/catalog-sync');
+const { getTopicStats } = require('../lib/webhook-tracker');
+const { listActiveAlerts } = require('../lib/alerts');
+const { logger } = require('../lib/logger');
+const { badRequest, notFound } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { WEBHOOK_TOPICS } = require('./webhooks');
+
+const router = express.Router();
+
+const STORE_PARAM = { store: { type: 'string' } };
+// Products per /catalog/products page unless `limit` says otherwise
+const DEFAULT_PAGE_SIZE = 250;
+
+/**
+ * Indexes the store's variants by SKU, optionally only the given SKUs. Reads the
+ * cached catalog, which is refreshed first when stale; Shopify errors from that
+ * refresh are left to the error handler.
+ */
+async function getShopifyProducts(store, skus = []) {
+  const wanted = new Set(skus);
+  await ensureFreshCatalog(store);
+  const allProducts = store.catalog.listProducts();
+  const products = {};
+  let totalVariants = 0;
+
+  allProducts.forEach(product => {
+    if (product.variants) {
+      product.variants.forEach(variant => {
+        if (!wanted.size || wanted.has(variant.sku)) {
+          products[variant.sku] = {
+            id: product.id,
+            title: product.title,
+            handle: product.handle,
+            image: product.images && product.images[0] ? product.images[0].src : null,
+            variant: {
+              id: variant.id,
+              sku: variant.sku,
+              price: variant.price,
+              inventory_quantity: variant.inventory_quantity,
+              inventory_policy: variant.inventory_policy
+            }
+          };
+          totalVariants++;
+        }
+      });
+    }
+  });
+
+  logger.info('Products read from catalog', { store: store.id, products: allProducts.length, variants: totalVariants });
+  return { success: true, products, totalVariants };
+}
+
+/**
+ * Resolves the `store` id (body or query, default store otherwise) from the store registry.
+ * Credentials never come from the client: raw tokens in the body are refused.
+ */
+function resolveStore(req, res, next) {
+  if (req.body && (req.body.accessToken || req.body.storeUrl)) {
+    return next(badRequest('storeUrl/accessToken are no longer accepted; pass a store id as "store"'));
+  }
+
+  const storeId = (req.body && req.body.store) || req.query.store;
+  const store = stores.getStore(storeId);
+
+  if (!store) return next(notFound(`Unknown store: ${storeId || '(none configured)'}`));
+
+  req.store = store;
+  req.storeId = store.id;
+  req.shopify = store.client;
+  next();
+}
+
+router.get('/shopify/stores', (req, res) => {
+  res.json({ success: true, stores: stores.listStores() });
+});
+
+// A bad token answers 401 and an unreachable shop 502, see lib/errors.js
+router.post('/shopify/test', validate({ query: STORE_PARAM, body: STORE_PARAM }), resolveStore, async (req, res, next) => {
+  try {
+    const shop = await req.shopify.get('shop.json');
+
+    res.json({
+      success: true,
+      store: req.storeId,
+      shop: shop.shop,
+      message: 'Shopify connection successful',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/shopify/products', validate({
+  query: STORE_PARAM,
+  body: { ...STORE_PARAM, skus: { type: 'array', items: { type: 'string' } } }
+}), resolveStore, async (req, res, next) => {
+  const { skus = [] } = req.body;
+
+  logger.info('Fetching products', { store: req.storeId, skus: skus.length });
+
+  try {
+    res.json(await getShopifyProducts(req.store, skus));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/webhook-status', (req, res) => {
+  const webhooks = {};
+
+  Object.entries(WEBHOOK_TOPICS).forEach(([name, topics]) => {
+    webhooks[name] = {
+      path: `/webhook/${name}`,
+      topics: topics.reduce((acc, topic) => {
+        acc[topic] = getTopicStats(topic);
+        return acc;
+      }, {})
+    };
+  });
+
+  const catalogs = {};
+  stores.listStoreIds().forEach(id => {
+    catalogs[id] = { products: stores.getStore(id).catalog.size() };
+  });
+
+  res.json({
+    status: 'active',
+    webhooks,
+    catalogs,
+    timestamp: new Date().toISOString(),
+    server: 'Railway'
+  });
+});
+
+router.get('/inventory/stock', validate({
+  query: { ...STORE_PARAM, sku: { type: 'string' }, variantId: { type: 'id' } }
+}), resolveStore, (req, res) => {
+  const { sku, variantId } = req.query;
+  const { inventory } = req.store;
+  const records = inventory.findRecords({ sku, variantId }).map(record => ({
+    ...record,
+    reserved: record.sku ? inventory.getReserved(record.sku) : 0
+  }));
+
+  res.json({
+    success: true,
+    store: req.store.id,
+    count: records.length,
+    records,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/inventory/stock/:inventoryItemId', validate({ query: STORE_PARAM }), resolveStore, (req, res, next) => {
+  const record = req.store.inventory.getRecord(req.params.inventoryItemId);
+
+  if (!record) return next(notFound('Inventory item not found'));
+
+  res.json({ success: true, record });
+});
+
+router.get('/inventory/reserved', validate({ query: STORE_PARAM }), resolveStore, (req, res) => {
+  res.json({
+    success: true,
+    store: req.store.id,
+    reserved: req.store.inventory.listReserved(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Pages through the catalog in product id order: pass `nextCursor` back as `cursor`
+router.get('/catalog/products', validate({
+  query: { ...STORE_PARAM, sku: { type: 'string' }, limit: { type: 'integer', min: 1, max: 1000 }, cursor: { type: 'id' } }
+}), resolveStore, (req, res) => {
+  const { sku, limit = DEFAULT_PAGE_SIZE, cursor = null } = req.query;
+  const { catalog } = req.store;
+
+  if (sku) {
+    const match = catalog.findVariantBySku(sku);
+    return res.json({ success: true, count: match ? 1 : 0, products: match ? [match.product] : [], nextCursor: null });
+  }
+
+  const { products, nextCursor } = catalog.listProductsPage({ after: cursor, limit });
+  res.json({ success: true, count: products.length, total: catalog.size(), products, nextCursor });
+});
+
+router.get('/alerts/low-stock', validate({
+  query: { ...STORE_PARAM, level: { type: 'string', enum: ['low', 'out'] } }
+}), resolveStore, (req, res) => {
+  const alerts = listActiveAlerts({ store: req.store.id, level: req.query.level });
+
+  res.json({
+    success: true,
+    store: req.store.id,
+    count: alerts.length,
+    alerts,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
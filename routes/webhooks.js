@@ -0,0 +1,225 @@
+// routes/webhooks.js - Shopify webhook receivers, verified by HMAC signature
+const express = require('express');
+const { verifyShopifyWebhook } = require('../lib/webhook-auth');
+const stores = require('../lib/stores');
+const { createWebhookHandler } = require('../lib/webhook-tracker');
+const { scheduleStockRefresh } = require('../lib/stock-refresh');
+const { evaluateStock } = require('../lib/alerts');
+const { publishStockChanges, diffProductStock } = require('../lib/stock-stream');
+const { logger } = require('../lib/logger');
+const { recordWebhook } = require('../lib/metrics');
+const { ApiError } = require('../lib/errors');
+
+const router = express.Router();
+
+const WEBHOOK_TOPICS = {
+  inventory: ['inventory_levels/update'],
+  products: ['products/create', 'products/update', 'products/delete'],
+  orders: ['orders/create', 'orders/paid', 'orders/cancelled']
+};
+
+/**
+ * Identifies the sending store from X-Shopify-Shop-Domain; its webhook secret is then
+ * used to verify the signature and the handlers update that store's state.
+ */
+function resolveWebhookStore(req, res, next) {
+  const domain = req.get('X-Shopify-Shop-Domain');
+  const store = domain ? stores.getStoreByDomain(domain) : null;
+
+  if (!store) {
+    logger.warn('Webhook from unknown shop rejected', { domain: domain || null, topic: req.get('X-Shopify-Topic') });
+    recordWebhook(req.get('X-Shopify-Topic'), 'rejected');
+    return next(new ApiError(401, 'UNKNOWN_SHOP', 'Unknown shop domain'));
+  }
+
+  req.store = store;
+  next();
+}
+
+const verifyWebhook = [resolveWebhookStore, verifyShopifyWebhook(req => req.store.webhookSecret)];
+
+// The payload fields the handlers rely on, per topic (see lib/validation.js)
+const PRODUCT_PAYLOAD = {
+  id: { type: 'id', required: true },
+  variants: { type: 'array', items: { type: 'object', properties: { id: { type: 'id' }, inventory_item_id: { type: 'id' } } } }
+};
+const ORDER_PAYLOAD = {
+  id: { type: 'id', required: true },
+  line_items: {
+    type: 'array',
+    items: { type: 'object', properties: { sku: { type: 'string' }, quantity: { type: 'integer', min: 0 } } }
+  }
+};
+const PAYLOAD_SCHEMAS = {
+  'inventory_levels/update': {
+    inventory_item_id: { type: 'id', required: true },
+    location_id: { type: 'id', required: true },
+    available: { type: 'integer' },
+    updated_at: { type: 'date' }
+  },
+  'products/create': PRODUCT_PAYLOAD,
+  'products/update': PRODUCT_PAYLOAD,
+  'products/delete': { id: { type: 'id', required: true } },
+  'orders/create': ORDER_PAYLOAD,
+  'orders/paid': ORDER_PAYLOAD,
+  'orders/cancelled': ORDER_PAYLOAD
+};
+
+/**
+ * Stores the total across locations fetched after the webhook (it only carries one
+ * location) and checks it against its alert threshold. Without a total from
+ * Shopify, the locally known locations are used for the alert.
+ */
+async function applyRefreshedStock(store, record, total) {
+  if (total !== null) store.catalog.setVariantQuantity(record.inventoryItemId, total);
+
+  const match = store.catalog.findVariantByInventoryItemId(record.inventoryItemId);
+  const product = match ? match.product : {};
+  const variant = match ? match.variant : {};
+
+  await evaluateStock(store.id, {
+    inventoryItemId: record.inventoryItemId,
+    variantId: record.variantId || variant.id,
+    sku: record.sku || variant.sku,
+    title: product.title && variant.title && variant.title !== 'Default Title'
+      ? `${product.title} - ${variant.title}`
+      : product.title,
+    vendor: product.vendor,
+    productType: product.product_type,
+    quantity: total === null ? record.available : total
+  });
+}
+
+/**
+ * Applies the location's change to the cached variant total right away, so
+ * availability reads are current before the batched refresh has the exact total.
+ */
+function adjustCachedQuantity(store, record, locationId, previous) {
+  const match = store.catalog.findVariantByInventoryItemId(record.inventoryItemId);
+  if (!match || previous === null) return;
+
+  const delta = record.locations[locationId].available - previous;
+  store.catalog.setVariantQuantity(record.inventoryItemId, (match.variant.inventory_quantity || 0) + delta);
+}
+
+/**
+ * Streams an applied inventory level to dashboard clients: the quantity at that
+ * location and the change from what we held before (null when unknown).
+ */
+function publishInventoryLevel(store, record, locationId, previous) {
+  const match = store.catalog.findVariantByInventoryItemId(record.inventoryItemId);
+  const available = record.locations[locationId].available;
+
+  publishStockChanges(store.id, 'inventory', [{
+    sku: match ? match.variant.sku : record.sku,
+    variantId: match ? match.variant.id : record.variantId,
+    productId: match ? match.product.id : null,
+    vendor: match ? match.product.vendor : null,
+    inventoryItemId: record.inventoryItemId,
+    locationId,
+    available,
+    delta: previous === null ? null : available - previous
+  }]);
+}
+
+router.post('/webhook/inventory', verifyWebhook, createWebhookHandler({
+  'inventory_levels/update': (payload, req) => {
+    const { applied, record, previous } = req.store.inventory.applyInventoryLevel(payload);
+
+    if (!applied) {
+      logger.info('Stale inventory update ignored', { store: req.store.id, inventoryItemId: record.inventoryItemId });
+      return 'Stale inventory update ignored';
+    }
+
+    logger.info('Inventory level updated', {
+      store: req.store.id,
+      inventoryItemId: record.inventoryItemId,
+      sku: record.sku,
+      available: record.available
+    });
+    adjustCachedQuantity(req.store, record, String(payload.location_id), previous);
+    publishInventoryLevel(req.store, record, String(payload.location_id), previous);
+
+    // Shopify expects a quick answer: the exact total and alerts are handled after responding
+    const store = req.store;
+    scheduleStockRefresh(store, record.inventoryItemId, total => applyRefreshedStock(store, record, total));
+
+    return 'Inventory webhook processed';
+  }
+}, { schemas: PAYLOAD_SCHEMAS }));
+
+function handleProductUpsert(payload, req) {
+  const { catalog, inventory } = req.store;
+  const before = catalog.getProduct(payload.id);
+  const { applied, product } = catalog.upsertProduct(payload);
+
+  if (!applied) {
+    logger.info('Stale product update ignored', { store: req.store.id, productId: product.id });
+    return 'Stale product update ignored';
+  }
+
+  (product.variants || []).forEach(variant => {
+    if (variant.inventory_item_id) {
+      inventory.linkVariant(variant.inventory_item_id, { variantId: variant.id, sku: variant.sku });
+    }
+  });
+
+  publishStockChanges(req.store.id, 'product', diffProductStock(before, product));
+
+  logger.info('Product synced', { store: req.store.id, productId: product.id, variants: (product.variants || []).length });
+  return 'Product synced';
+}
+
+router.post('/webhook/products', verifyWebhook, createWebhookHandler({
+  'products/create': handleProductUpsert,
+  'products/update': handleProductUpsert,
+  'products/delete': (payload, req) => {
+    const before = req.store.catalog.getProduct(payload.id);
+    const removed = req.store.catalog.removeProduct(payload.id);
+    if (before) publishStockChanges(req.store.id, 'product', diffProductStock(before, null));
+    logger.info('Product deleted', { store: req.store.id, productId: payload.id, removed });
+    return 'Product removed';
+  }
+}, { schemas: PAYLOAD_SCHEMAS }));
+
+/**
+ * Streams the reservation change of each SKU in an order: `reservedDelta` is
+ * positive when the order reserves units and negative when it releases them.
+ */
+function publishReservations(store, orderId, lines, sign) {
+  publishStockChanges(store.id, 'order', Object.entries(lines).map(([sku, quantity]) => {
+    const match = store.catalog.findVariantBySku(sku);
+    return {
+      sku,
+      variantId: match ? match.variant.id : null,
+      productId: match ? match.product.id : null,
+      vendor: match ? match.product.vendor : null,
+      orderId,
+      reserved: store.inventory.getReserved(sku),
+      reservedDelta: sign * quantity
+    };
+  }));
+}
+
+function handleOrderRelease(payload, req) {
+  const { changed, lines } = req.store.inventory.releaseOrder(payload);
+  if (changed) publishReservations(req.store, payload.id, lines, -1);
+  logger.info('Order reservation released', { store: req.store.id, orderId: payload.id, changed, skus: Object.keys(lines).length });
+  return 'Order reservation released';
+}
+
+router.post('/webhook/orders', verifyWebhook, createWebhookHandler({
+  'orders/create': (payload, req) => {
+    const { changed, lines } = req.store.inventory.reserveOrder(payload);
+    if (changed) publishReservations(req.store, payload.id, lines, 1);
+    logger.info('Order reserved', { store: req.store.id, orderId: payload.id, changed, skus: Object.keys(lines).length });
+    return 'Order reserved';
+  },
+  'orders/paid': handleOrderRelease,
+  'orders/cancelled': handleOrderRelease
+}, { schemas: PAYLOAD_SCHEMAS }));
+
+module.exports = {
+  router,
+  WEBHOOK_TOPICS
+};
@@ -0,0 +1,42 @@
+const { configureAlerts, evaluateStock, listActiveAlerts, clearAlerts } = require('../lib/alerts');
+
+const MINUTE = 60 * 1000;
+const start = new Date('2026-05-01T10:00:00Z');
+const at = minutes => new Date(start.getTime() + minutes * MINUTE);
+const item = quantity => ({ inventoryItemId: 1000, sku: 'L73-100-S', vendor: 'LOFT.73', quantity });
+
+beforeEach(() => {
+  clearAlerts();
+  configureAlerts({ cooldownMinutes: 60, defaultThreshold: 3, channels: [] });
+});
+
+describe('evaluateStock', () => {
+  test('notifies once per cooldown while stock stays low', async () => {
+    expect((await evaluateStock('default', item(2), at(0))).notified).toBe(true);
+    expect((await evaluateStock('default', item(1), at(30))).notified).toBe(false);
+    expect((await evaluateStock('default', item(1), at(61))).notified).toBe(true);
+  });
+
+  test('going from low to out of stock notifies within the cooldown', async () => {
+    await evaluateStock('default', item(2), at(0));
+    const { alert, notified } = await evaluateStock('default', item(0), at(5));
+
+    expect(notified).toBe(true);
+    expect(alert).toMatchObject({ level: 'out', lastNotifiedAt: at(5).toISOString() });
+  });
+
+  test('a variant that dips, recovers and dips again stays in its cooldown', async () => {
+    expect((await evaluateStock('default', item(2), at(0))).notified).toBe(true);
+
+    expect((await evaluateStock('default', item(5), at(10))).alert).toBeNull();
+    expect(listActiveAlerts()).toEqual([]);
+
+    const again = await evaluateStock('default', item(2), at(20));
+    expect(again.notified).toBe(false);
+    expect(again.alert.lastNotifiedAt).toBe(at(0).toISOString());
+    expect(listActiveAlerts()).toHaveLength(1);
+
+    await evaluateStock('default', item(5), at(70));
+    expect((await evaluateStock('default', item(2), at(80))).notified).toBe(true);
+  });
+});
@@ -0,0 +1,341 @@
+const iconv = require('iconv-lite');
+const request = require('supertest');
+const { createMockShopify, makeProduct } = require('./helpers/mock-shopify');
+const { loadApp, cleanup, API_KEY, OTHER_API_KEY } = require('./helpers/app-env');
+
+const products = [
+  makeProduct(1, 'LOFT.73 - Top Seta Nero', [
+    { sku: 'L73-100-S', size: 'S', quantity: 3 },
+    { sku: 'L73-100-M', size: 'M', quantity: 0 }
+  ]),
+  makeProduct(2, 'LOFT.73 - Pantalone Lino Beige', [{ sku: 'L73-200', quantity: 4 }]),
+  makeProduct(3, 'LOFT.73 - Gonna Plissé', [{ sku: 'L73-300', quantity: 1 }]),
+  makeProduct(4, 'Borsa Paglia', [{ sku: 'BP-1', quantity: 9 }], { vendor: 'Altro' }),
+  makeProduct(5, 'Cintura Cuoio', [{ sku: 'CC-1', quantity: 2 }], { vendor: 'Altro' })
+];
+const mock = createMockShopify({ products, pageSize: 2 });
+let app;
+let dataDir;
+
+const csvRows = [
+  { name: 'Top Seta Nero', sku: 'L73-100-M' },
+  { name: 'Gonna Plisse', sku: '' },
+  { name: 'Giacca Inesistente', sku: 'XX-999' }
+];
+
+beforeAll(async () => {
+  await mock.start();
+  ({ app, dataDir } = loadApp(mock));
+});
+
+afterAll(async () => {
+  await mock.stop();
+  cleanup(dataDir);
+});
+
+beforeEach(() => mock.reset());
+
+function api(method, path) {
+  return request(app)[method](path).set('X-API-Key', API_KEY);
+}
+
+describe('authentication', () => {
+  test('health check is public', async () => {
+    const res = await request(app).get('/api/health');
+    expect(res.status).toBe(200);
+    expect(res.body.shopify.stores).toEqual(['default']);
+  });
+
+  test('other routes need an API key', async () => {
+    expect((await request(app).get('/api/stores')).status).toBe(401);
+    expect((await request(app).get('/api/stores').set('Authorization', `Bearer ${API_KEY}`)).status).toBe(200);
+  });
+});
+
+describe('products availability', () => {
+  test('syncs the catalog page by page, riding out a 429', async () => {
+    mock.failNext('products.json', 429, 1, { 'Retry-After': '0.05' });
+
+    const res = await api('post', '/api/shopify/products-availability').send({ products: csvRows });
+
+    expect(res.status).toBe(200);
+    expect(res.body.cache.sync).toMatchObject({ mode: 'full', fetched: 5 });
+    // 3 pages of 2 products, plus the throttled attempt
+    expect(mock.requestsTo('products.json')).toHaveLength(4);
+  });
+
+  test('resolves rows to variants and reports unmatched rows', async () => {
+    const res = await api('post', '/api/shopify/products-availability').send({ products: csvRows });
+
+    expect(res.body.stats).toMatchObject({ totalCsvProducts: 3, matchedProducts: 2, unmatchedProducts: 1 });
+
+    const top = res.body.results.find(r => r.rowIndex === 0);
+    expect(top.match.strategy).toBe('sku_exact');
+    expect(top.variant).toMatchObject({ sku: 'L73-100-M', quantity: 0 });
+    expect(top.available).toBe(0);
+    expect(top.shopifyProduct).toBeUndefined();
+
+    const skirt = res.body.results.find(r => r.rowIndex === 1);
+    expect(skirt.product.id).toBe(3);
+    expect(skirt.available).toBe(1);
+
+    expect(res.body.unmatched.map(r => r.rowIndex)).toEqual([2]);
+  });
+
+  test('serves later requests from the cache', async () => {
+    // Fills the cache when this test runs on its own
+    await api('post', '/api/shopify/products-availability').send({ products: csvRows });
+    mock.reset();
+
+    await api('post', '/api/shopify/products-availability').send({ products: csvRows });
+    expect(mock.requestsTo('products.json')).toHaveLength(0);
+  });
+
+  test('accepts a multipart CSV upload', async () => {
+    const csv = iconv.encode('Descrizione;Codice;Qtà\nTop Seta Nero;L73-100-M;2\nGonna Plissé;;1\n', 'latin1');
+
+    const res = await api('post', '/api/shopify/products-availability/csv')
+      .attach('file', csv, { filename: 'fornitore.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.csv).toMatchObject({ encoding: 'windows-1252', delimiter: ';', rows: 2 });
+    expect(res.body.stats).toMatchObject({ totalCsvProducts: 2, matchedProducts: 2 });
+    expect(res.body.results.find(r => r.rowIndex === 1).product.id).toBe(3);
+  });
+
+  test('exports the results as CSV', async () => {
+    const res = await api('post', '/api/shopify/products-availability?format=csv').send({ products: csvRows });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.text.split('\n').filter(Boolean)).toHaveLength(csvRows.length + 1);
+  });
+
+  test('keeps uploaded text from running as a spreadsheet formula', async () => {
+    const rows = [{ name: '=HYPERLINK("http://x.example","Top")', sku: '@L73-100-M' }];
+    const res = await api('post', '/api/shopify/products-availability?format=csv').send({ products: rows });
+
+    const [, line] = res.text.split('\r\n');
+    expect(line.startsWith(`"'=HYPERLINK(""http://x.example"",""Top"")";'@L73-100-M;`)).toBe(true);
+  });
+
+  test('runs as a background job', async () => {
+    const submitted = await api('post', '/api/shopify/products-availability?async=true').send({ products: csvRows });
+    expect(submitted.status).toBe(202);
+
+    let job = submitted.body.job;
+    for (let attempt = 0; attempt < 40 && !['completed', 'failed'].includes(job.status); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+      job = (await api('get', submitted.body.statusUrl)).body.job;
+    }
+    expect(job.status).toBe('completed');
+
+    const result = await api('get', submitted.body.resultUrl);
+    expect(result.body.stats.matchedProducts).toBe(2);
+  });
+
+  test('a cancelled job stops fetching the catalog at the next page', async () => {
+    mock.failNext('products.json', 429, 1, { 'Retry-After': '0.2' });
+    const submitted = await api('post', '/api/shopify/products-availability?async=true&refresh=full').send({ products: csvRows });
+
+    for (let attempt = 0; attempt < 40 && !mock.requestsTo('products.json').length; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect((await api('delete', submitted.body.statusUrl)).status).toBe(200);
+
+    let job = submitted.body.job;
+    for (let attempt = 0; attempt < 40 && job.status !== 'cancelled'; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+      job = (await api('get', submitted.body.statusUrl)).body.job;
+    }
+    expect(job.status).toBe('cancelled');
+    // The throttled call and its retry: the other two pages were never requested
+    expect(mock.requestsTo('products.json')).toHaveLength(2);
+  });
+
+  test('jobs are only visible to the API key that submitted them', async () => {
+    const submitted = await api('post', '/api/shopify/products-availability?async=true').send({ products: csvRows });
+    const other = (method, url) => request(app)[method](url).set('X-API-Key', OTHER_API_KEY);
+
+    expect((await other('get', '/api/jobs')).body.jobs).toEqual([]);
+    expect((await other('get', submitted.body.statusUrl)).status).toBe(404);
+    expect((await other('get', submitted.body.resultUrl)).status).toBe(404);
+    expect((await other('delete', submitted.body.statusUrl)).status).toBe(404);
+
+    const own = await api('get', '/api/jobs');
+    expect(own.body.jobs.map(job => job.id)).toContain(submitted.body.job.id);
+  });
+});
+
+describe('reconciliation', () => {
+  const rows = csvRows.concat([
+    { name: 'Top Seta Nero', sku: '', brand: 'loft.73' },
+    { name: 'Sandalo Cuoio', sku: 'NB-1', brand: 'Nuovo Brand' },
+    { name: 'Zoccolo', sku: 'NB-2', brand: 'Nuovo Brand' }
+  ]);
+
+  test('reports stock missing from the CSV by vendor and brands missing in Shopify', async () => {
+    const res = await api('post', '/api/shopify/products-availability?reconcile=true').send({ products: rows });
+
+    expect(res.status).toBe(200);
+    const { summary, missingInCsv, brandsMissingInShopify, rows: byStatus } = res.body.reconciliation;
+
+    // Row 3 matches product 1 without a variant, so both its variants count as covered
+    expect(missingInCsv.map(group => [group.vendor, group.products, group.variants, group.units])).toEqual([
+      ['Altro', 2, 2, 11],
+      ['LOFT.73', 1, 1, 4]
+    ]);
+    expect(missingInCsv[1].items[0]).toMatchObject({ productId: 2, sku: 'L73-200', quantity: 4 });
+    expect(brandsMissingInShopify).toEqual([{ brand: 'Nuovo Brand', rows: 2, rowIndexes: [4, 5] }]);
+    expect(byStatus).toEqual({ matched: [0, 1, 3], ambiguous: [], unmatched: [2, 4, 5] });
+    expect(summary).toMatchObject({ missingInCsvVendors: 2, missingInCsvUnits: 15, brandsMissingInShopify: 1, unmatchedRows: 3 });
+  });
+
+  test('is left out unless asked for and is JSON only', async () => {
+    const plain = await api('post', '/api/shopify/products-availability').send({ products: rows });
+    expect(plain.body.reconciliation).toBeUndefined();
+
+    const exported = await api('post', '/api/shopify/products-availability?format=csv').send({ products: rows, reconcile: true });
+    expect(exported.status).toBe(400);
+    expect(exported.body.error.code).toBe('VALIDATION_FAILED');
+  });
+});
+
+describe('matching rules', () => {
+  const rules = {
+    default: { synonyms: { nero: ['black'] }, replacements: [{ pattern: '\\s*-\\s*TU$' }] }
+  };
+
+  test('previews a title against a draft without saving it', async () => {
+    const res = await api('post', '/api/matching/preview').send({ title: 'LOFT.73 - Top Seta Black - TU', rules });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ rulesSource: 'draft', normalized: 'top seta nero' });
+    expect(res.body.match).toMatchObject({ status: 'matched', strategy: 'title_exact' });
+    expect(res.body.match.candidates[0]).toMatchObject({ productId: 1, normalizedTitle: 'top seta nero' });
+
+    const saved = await api('get', '/api/matching/rules');
+    expect(saved.body.rules).toEqual({});
+  });
+
+  test('saves valid rules and uses them for matching', async () => {
+    expect((await api('put', '/api/matching/rules').send(rules)).status).toBe(200);
+
+    const res = await api('post', '/api/shopify/products-availability').send({ products: [{ name: 'Top Seta Black - TU' }] });
+    expect(res.body.results[0].product.id).toBe(1);
+
+    const preview = await api('post', '/api/matching/preview').send({ title: 'Top Seta Black' });
+    expect(preview.body).toMatchObject({ rulesSource: 'file', normalized: 'top seta nero' });
+  });
+
+  test('rejects invalid rules and keeps the saved ones', async () => {
+    const res = await api('put', '/api/matching/rules').send({ default: { replacements: [{ pattern: '[' }] } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0].field).toBe('default.replacements[0].pattern');
+    expect((await api('get', '/api/matching/rules')).body.rules).toEqual(rules);
+  });
+
+  test('rejects a body without rules instead of clearing them', async () => {
+    const empty = await api('put', '/api/matching/rules').send({});
+    expect(empty.status).toBe(400);
+    expect(empty.body.error).toMatchObject({ code: 'VALIDATION_FAILED', details: [{ field: 'body' }] });
+
+    const typo = await api('put', '/api/matching/rules').send({ defualt: rules.default });
+    expect(typo.status).toBe(400);
+    expect(typo.body.error.details[0].field).toBe('body.defualt');
+
+    const malformed = await api('put', '/api/matching/rules').send({ default: ['nero'] });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.details[0].field).toBe('body.default');
+
+    expect((await api('get', '/api/matching/rules')).body.rules).toEqual(rules);
+  });
+
+  test('rejects patterns that could backtrack for too long', async () => {
+    const nested = await api('put', '/api/matching/rules').send({ default: { replacements: [{ pattern: '^(\\w+\\s?)*$' }] } });
+    expect(nested.status).toBe(400);
+    expect(nested.body.error.details[0]).toMatchObject({ field: 'default.replacements[0].pattern', message: expect.stringMatching(/repeat/) });
+
+    const long = await api('put', '/api/matching/rules').send({ vendors: { Altro: { replacements: [{ pattern: 'a'.repeat(201) }] } } });
+    expect(long.status).toBe(400);
+    expect(long.body.error.details[0].field).toBe('vendors.Altro.replacements[0].pattern');
+
+    expect((await api('get', '/api/matching/rules')).body.rules).toEqual(rules);
+  });
+});
+
+describe('analytics', () => {
+  test('groups stock by vendor', async () => {
+    const res = await api('get', '/api/shopify/analytics?includeCost=false&sort=name');
+
+    expect(res.status).toBe(200);
+    expect(res.body.groups.map(g => [g.name, g.products, g.unitsInStock])).toEqual([
+      ['Altro', 2, 11],
+      ['LOFT.73', 3, 8]
+    ]);
+    expect(res.body.totals.outOfStockVariants).toBe(1);
+  });
+
+  test('skips the cost lookup unless includeCost is set', async () => {
+    const res = await api('get', '/api/shopify/analytics');
+
+    expect(res.status).toBe(200);
+    expect(res.body.totals).toMatchObject({ valueAtCost: null, variantsWithoutCost: null });
+    expect(mock.requestsTo('inventory_items.json')).toHaveLength(0);
+  });
+
+  test('adds values at cost with includeCost=true, caching the costs', async () => {
+    mock.state.costs = { 1000: '20.00', 2000: '15.50', 4000: '5.00' };
+
+    const res = await api('get', '/api/shopify/analytics?includeCost=true&sort=name');
+
+    expect(res.body.groups.map(g => [g.name, g.valueAtCost, g.variantsWithoutCost])).toEqual([
+      ['Altro', 45, 1],
+      ['LOFT.73', 122, 2]
+    ]);
+    expect(res.body.totals).toMatchObject({ valueAtCost: 167, variantsWithoutCost: 3 });
+    expect(mock.requestsTo('inventory_items.json')).toHaveLength(1);
+
+    await api('get', '/api/shopify/analytics?includeCost=true');
+    expect(mock.requestsTo('inventory_items.json')).toHaveLength(1);
+  });
+});
+
+describe('dashboard catalog routes', () => {
+  test('POST /shopify/products reads the cached catalog instead of Shopify', async () => {
+    await api('post', '/api/shopify/catalog/sync').send({ mode: 'full' });
+    mock.reset();
+
+    const res = await api('post', '/shopify/products').send({ skus: ['L73-100-M', 'BP-1', 'XX-999'] });
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.products)).toEqual(['L73-100-M', 'BP-1']);
+    expect(res.body.products['BP-1']).toMatchObject({ id: 4, variant: { sku: 'BP-1', inventory_quantity: 9 } });
+    expect(mock.requestsTo('products.json')).toHaveLength(0);
+  });
+
+  test('GET /catalog/products pages through the catalog with limit and cursor', async () => {
+    await api('post', '/api/shopify/catalog/sync').send({ mode: 'full' });
+    const ids = [];
+    let cursor = null;
+
+    for (let page = 0; page < 5; page++) {
+      const res = await api('get', `/catalog/products?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(5);
+      ids.push(res.body.products.map(product => product.id));
+      cursor = res.body.nextCursor;
+      if (!cursor) break;
+    }
+
+    expect(ids).toEqual([[1, 2], [3, 4], [5]]);
+  });
+
+  test('GET /catalog/products rejects a limit out of range', async () => {
+    const res = await api('get', '/catalog/products?limit=0');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual([{ field: 'query.limit', message: 'must be at least 1' }]);
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createShopifyClient } = require('../lib/shopify-client');
+const { fetchCatalogBulk } = require('../lib/catalog-bulk');
+const { runBulkQuery, BulkOperationError } = require('../lib/shopify-bulk');
+const { ensureFreshCatalog } = require('../lib/catalog-sync');
+const { createCatalogStore } = require('../lib/catalog-store');
+const { JobCancelledError } = require('../lib/jobs');
+const { createMockShopify, makeProduct, ACCESS_TOKEN } = require('./helpers/mock-shopify');
+
+const products = [
+  makeProduct(1, 'Top Seta Nero', [{ sku: 'L73-100-S', size: 'S', quantity: 3 }, { sku: 'L73-100-M', size: 'M', quantity: 0 }]),
+  makeProduct(2, 'Borsa Paglia', [{ sku: 'BP-1', quantity: 9 }], {
+    vendor: 'Altro',
+    tags: 'estate, paglia',
+    images: [{ src: 'https://cdn.example.com/borsa.jpg' }]
+  })
+];
+const mock = createMockShopify({ products, pageSize: 1 });
+let client;
+let dataDir;
+
+beforeAll(async () => {
+  await mock.start();
+  client = createShopifyClient({ storeUrl: mock.url, accessToken: ACCESS_TOKEN });
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loft73-test-'));
+});
+
+afterAll(async () => {
+  await mock.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => mock.reset());
+
+describe('fetchCatalogBulk', () => {
+  test('returns the same product and variant shape as products.json', async () => {
+    const exported = await fetchCatalogBulk(client);
+
+    expect(exported).toHaveLength(2);
+    exported.forEach((product, i) => {
+      const { variants, ...rest } = products[i];
+      expect(product).toMatchObject(rest);
+      expect(product.variants).toHaveLength(variants.length);
+      product.variants.forEach((variant, j) => expect(variant).toMatchObject(variants[j]));
+    });
+    expect(exported[1].images).toEqual([{ src: 'https://cdn.example.com/borsa.jpg' }]);
+    expect(mock.requestsTo('products.json')).toHaveLength(0);
+  });
+
+  test('polls until the operation completes and reports progress', async () => {
+    mock.state.bulk.pollsUntilDone = 3;
+    const statuses = [];
+
+    await fetchCatalogBulk(client, { onProgress: ({ status, objectCount }) => statuses.push([status, objectCount]) });
+
+    expect(statuses).toEqual([['RUNNING', 5], ['RUNNING', 5], ['COMPLETED', 5]]);
+  });
+
+  test('waits out a throttled GraphQL call', async () => {
+    mock.throttleGraphql(1);
+
+    const exported = await fetchCatalogBulk(client);
+
+    expect(exported).toHaveLength(2);
+    expect(mock.requestsTo('graphql.json').length).toBeGreaterThanOrEqual(3);
+  });
+});
+
+describe('runBulkQuery', () => {
+  test('rejects when Shopify refuses to start the operation', async () => {
+    mock.state.bulk.userError = 'A bulk query operation for this app and shop is already in progress';
+
+    await expect(runBulkQuery(client, '{ shop { id } }')).rejects.toThrow(/already in progress/);
+  });
+
+  test('rejects with the status of a failed operation', async () => {
+    mock.state.bulk.failWith = 'FAILED';
+
+    const error = await runBulkQuery(client, '{ shop { id } }').catch(e => e);
+
+    expect(error).toBeInstanceOf(BulkOperationError);
+    expect(error).toMatchObject({ status: 'FAILED', errorCode: 'INTERNAL_SERVER_ERROR' });
+  });
+
+  test('cancels an operation that runs past the timeout', async () => {
+    mock.state.bulk.pollsUntilDone = 1000;
+
+    await expect(runBulkQuery(client, '{ shop { id } }', { pollIntervalMs: 5, timeoutMs: 20 })).rejects.toThrow(/timed out/);
+    expect(mock.state.bulk.operations[0].status).toBe('CANCELED');
+  });
+});
+
+describe('full catalog sync', () => {
+  function makeStore(id, catalogFetcher) {
+    return { id, client, catalogFetcher, catalog: createCatalogStore(id, { file: path.join(dataDir, `catalog-${id}.json`) }) };
+  }
+
+  test('uses a bulk export by default', async () => {
+    const { sync } = await ensureFreshCatalog(makeStore('bulk-default'), { refresh: 'full' });
+
+    expect(sync).toEqual({ mode: 'full', fetcher: 'bulk', fetched: 2 });
+    expect(mock.requestsTo('products.json')).toHaveLength(0);
+  });
+
+  test('falls back to REST when the bulk export fails', async () => {
+    mock.state.bulk.failWith = 'FAILED';
+    const store = makeStore('bulk-fallback', 'bulk');
+
+    const { sync } = await ensureFreshCatalog(store, { refresh: 'full' });
+
+    expect(sync).toEqual({ mode: 'full', fetcher: 'rest', fetched: 2 });
+    expect(store.catalog.listProducts().map(p => p.id)).toEqual([1, 2]);
+  });
+
+  test('can be set to REST', async () => {
+    const { sync } = await ensureFreshCatalog(makeStore('rest-only', 'rest'), { refresh: 'full' });
+
+    expect(sync.fetcher).toBe('rest');
+    expect(mock.requestsTo('graphql.json')).toHaveLength(0);
+  });
+});
+
+describe('cancelled catalog sync', () => {
+  function makeStore(id, catalogFetcher) {
+    return { id, client, catalogFetcher, catalog: createCatalogStore(id, { file: path.join(dataDir, `catalog-${id}.json`) }) };
+  }
+
+  function cancelAfter(calls) {
+    let count = 0;
+    return () => {
+      if (++count >= calls) throw new JobCancelledError();
+    };
+  }
+
+  test('stops a REST fetch at the next page and keeps the cache as it was', async () => {
+    const store = makeStore('rest-cancelled', 'rest');
+
+    await expect(ensureFreshCatalog(store, { refresh: 'full', checkCancelled: cancelAfter(1) })).rejects.toThrow(JobCancelledError);
+    expect(mock.requestsTo('products.json')).toHaveLength(1);
+    expect(store.catalog.size()).toBe(0);
+  });
+
+  test('cancels a bulk export on Shopify instead of falling back to REST', async () => {
+    mock.state.bulk.pollsUntilDone = 1000;
+    const store = makeStore('bulk-cancelled', 'bulk');
+
+    await expect(ensureFreshCatalog(store, { refresh: 'full', checkCancelled: cancelAfter(2) })).rejects.toThrow(JobCancelledError);
+    expect(mock.state.bulk.operations[0].status).toBe('CANCELED');
+    expect(mock.requestsTo('products.json')).toHaveLength(0);
+  });
+
+  test('callers waiting on a cancelled sync run their own', async () => {
+    const store = makeStore('shared-cancelled', 'rest');
+
+    const cancelled = ensureFreshCatalog(store, { refresh: 'full', checkCancelled: cancelAfter(1) });
+    const waiting = ensureFreshCatalog(store);
+
+    await expect(cancelled).rejects.toThrow(JobCancelledError);
+    const { sync } = await waiting;
+    expect(sync).toEqual({ mode: 'full', fetcher: 'rest', fetched: 2 });
+    expect(store.catalog.size()).toBe(2);
+  });
+});
@@ -0,0 +1,87 @@
+const iconv = require('iconv-lite');
+const { parseProductsCsv, parseCsv, detectDelimiter, decodeBuffer, parseQuantity } = require('../lib/csv');
+
+describe('decodeBuffer', () => {
+  test('strips a UTF-8 BOM', () => {
+    const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('nome;sku\nPiù;A1\n')]);
+    expect(decodeBuffer(buffer)).toEqual({ text: 'nome;sku\nPiù;A1\n', encoding: 'utf-8' });
+  });
+
+  test('falls back to Windows-1252 for Latin-1 exports', () => {
+    const buffer = iconv.encode('nome;quantità\nGonna Plissé;2\n', 'latin1');
+    expect(decodeBuffer(buffer)).toEqual({ text: 'nome;quantità\nGonna Plissé;2\n', encoding: 'windows-1252' });
+  });
+
+  test('honours an explicit encoding and rejects unknown ones', () => {
+    expect(decodeBuffer(iconv.encode('Più', 'latin1'), 'latin1').text).toBe('Più');
+    expect(() => decodeBuffer(Buffer.from('x'), 'klingon')).toThrow(expect.objectContaining({ code: 'INVALID_CSV' }));
+  });
+});
+
+describe('detectDelimiter', () => {
+  test.each([
+    ['nome;sku;qta\nA;1;2', ';'],
+    ['nome\tsku\tqta\nA\t1\t2', '\t'],
+    ['nome,sku,qta\nA,1,2', ',']
+  ])('%j -> %j', (text, delimiter) => {
+    expect(detectDelimiter(text)).toBe(delimiter);
+  });
+
+  test('ignores delimiters inside quotes and after the first line', () => {
+    expect(detectDelimiter('"a,b,c";sku\nx,y,z,w')).toBe(';');
+  });
+});
+
+describe('parseCsv', () => {
+  test('keeps quoted delimiters, doubled quotes and line breaks', () => {
+    const text = 'nome;note\r\n"Top ""Seta""; Nero";"riga uno\nriga due"\r\n\r\nGonna;\n';
+    expect(parseCsv(text, ';')).toEqual([
+      ['nome', 'note'],
+      ['Top "Seta"; Nero', 'riga uno\nriga due'],
+      ['Gonna', '']
+    ]);
+  });
+});
+
+describe('parseQuantity', () => {
+  test.each([
+    ['12', 12],
+    ['1.234', 1234],
+    ['1,234', 1234],
+    ['12,0', 12],
+    ['3,50', 3.5],
+    ['1.234,00', 1234],
+    ['', null],
+    ['n.d.', null]
+  ])('%j -> %j', (value, expected) => {
+    expect(parseQuantity(value)).toBe(expected);
+  });
+});
+
+describe('parseProductsCsv', () => {
+  test('maps Italian headers through their aliases', () => {
+    const csv = 'Descrizione;Codice Articolo;Quantità;Marca\nTop Seta Nero;L73-100-S;1.234;LOFT.73\n';
+    const { products, meta } = parseProductsCsv(Buffer.from(csv));
+
+    expect(meta).toEqual({
+      encoding: 'utf-8',
+      delimiter: ';',
+      columns: { name: 'Descrizione', sku: 'Codice Articolo', quantity: 'Quantità', brand: 'Marca' },
+      rows: 1
+    });
+    expect(products[0]).toMatchObject({ name: 'Top Seta Nero', sku: 'L73-100-S', quantity: 1234, brand: 'LOFT.73' });
+    expect(products[0].columns).toEqual({ Descrizione: 'Top Seta Nero', 'Codice Articolo': 'L73-100-S', Quantità: '1.234', Marca: 'LOFT.73' });
+  });
+
+  test('an explicit mapping wins over the aliases, by header or column index', () => {
+    const csv = 'nome,articolo,extra\nTop,A-1,Gonna\n';
+    const { products } = parseProductsCsv(Buffer.from(csv), { mapping: { name: 'EXTRA', sku: '1' } });
+    expect(products[0]).toMatchObject({ name: 'Gonna', sku: 'A-1' });
+  });
+
+  test('rejects a mapping to a missing column and files without name or SKU', () => {
+    expect(() => parseProductsCsv(Buffer.from('nome;sku\nA;1\n'), { mapping: { sku: 'ean' } }))
+      .toThrow('Column "ean" for sku not found in CSV header');
+    expect(() => parseProductsCsv(Buffer.from('colore;taglia\nnero;S\n'))).toThrow(/name or SKU column/);
+  });
+});
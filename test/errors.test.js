@@ -0,0 +1,168 @@
+const request = require('supertest');
+const { checkSchema } = require('../lib/validation');
+const { createMockShopify, makeProduct } = require('./helpers/mock-shopify');
+const { loadApp, cleanup, API_KEY } = require('./helpers/app-env');
+
+const mock = createMockShopify({ products: [makeProduct(1, 'Top Seta Nero', [{ sku: 'L73-100-S' }])] });
+let app;
+let dataDir;
+
+beforeAll(async () => {
+  await mock.start();
+  ({ app, dataDir } = loadApp(mock));
+});
+
+afterAll(async () => {
+  await mock.stop();
+  cleanup(dataDir);
+});
+
+beforeEach(() => mock.reset());
+
+function api(method, path) {
+  return request(app)[method](path).set('X-API-Key', API_KEY);
+}
+
+describe('checkSchema', () => {
+  const schema = {
+    page: { type: 'integer', min: 1 },
+    refresh: { type: 'string', enum: ['full', 'incremental'] },
+    skus: { type: 'array', items: { type: 'string' } }
+  };
+
+  test('parses query string values', () => {
+    expect(checkSchema(schema, { page: '2', skus: 'A,B', other: 'kept' }, { fromQuery: true }))
+      .toEqual({ page: 2, skus: ['A', 'B'], other: 'kept' });
+  });
+
+  test('lists every invalid field', () => {
+    let error;
+    try {
+      checkSchema(schema, { page: 0, refresh: 'sometimes', skus: ['A', 3] });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toMatchObject({ status: 400, code: 'VALIDATION_FAILED' });
+    expect(error.details.map(detail => detail.field)).toEqual(['page', 'refresh', 'skus[1]']);
+  });
+});
+
+describe('request validation', () => {
+  test('products-availability without products is a 400, not a crash', async () => {
+    const res = await api('post', '/api/shopify/products-availability').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      success: false,
+      error: {
+        code: 'VALIDATION_FAILED',
+        message: 'Invalid request: body.products is required',
+        details: [{ field: 'body.products', message: 'is required' }],
+        upstreamStatus: null
+      }
+    });
+  });
+
+  test('an empty products array is rejected', async () => {
+    const res = await api('post', '/api/shopify/products-availability').send({ products: [] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual([{ field: 'body.products', message: 'must not be empty' }]);
+  });
+
+  test('skus must be an array', async () => {
+    const res = await api('post', '/shopify/products').send({ skus: 'L73-100-S' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0].field).toBe('body.skus');
+  });
+
+  test('query strings are checked too', async () => {
+    const res = await api('get', '/api/shopify/analytics?pageSize=1000&groupBy=colour');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.map(detail => detail.field)).toEqual(['query.groupBy', 'query.pageSize']);
+  });
+
+  test('malformed JSON and unknown routes use the same envelope', async () => {
+    const malformed = await api('post', '/api/shopify/products-availability')
+      .set('Content-Type', 'application/json')
+      .send('{"products": [');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.code).toBe('INVALID_JSON');
+
+    const missing = await api('get', '/api/nope');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('NOT_FOUND');
+
+    const unauthorized = await request(app).get('/api/stores');
+    expect(unauthorized.body.error.code).toBe('UNAUTHORIZED');
+  });
+});
+
+describe('Shopify failures', () => {
+  test('a rejected token is a 401', async () => {
+    mock.failNext('shop.json', 401);
+
+    const res = await api('post', '/shopify/test').send({});
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toMatchObject({ code: 'SHOPIFY_UNAUTHORIZED', upstreamStatus: 401 });
+  });
+
+  test('a rate limit that outlasts the retries is a 429 with Retry-After', async () => {
+    mock.failNext('shop.json', 429, 10, { 'Retry-After': '0.01' });
+
+    const res = await api('post', '/shopify/test').send({});
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('0.01');
+    expect(res.body.error).toMatchObject({ code: 'SHOPIFY_RATE_LIMITED', upstreamStatus: 429 });
+  });
+
+  test('Shopify being down is a 502', async () => {
+    mock.failNext('products/count.json', 503, 10, { 'Retry-After': '0.01' });
+
+    const res = await api('get', '/api/shopify/products-count');
+
+    expect(res.status).toBe(502);
+    expect(res.body.error).toMatchObject({ code: 'SHOPIFY_UNAVAILABLE', upstreamStatus: 503 });
+  });
+});
+
+describe('unexpected errors', () => {
+  test('answer a generic message and log the cause with the request id', async () => {
+    const express = require('express');
+    const { requestLogger } = require('../lib/logger');
+    const { errorHandler } = require('../lib/errors');
+
+    const failing = express();
+    failing.use(requestLogger());
+    failing.get('/boom', async (req, res, next) => {
+      await new Promise(resolve => setImmediate(resolve));
+      next(new Error("ENOENT: no such file or directory, open '/srv/app/data/catalog.json'"));
+    });
+    failing.use(errorHandler());
+
+    const lines = [];
+    jest.spyOn(process.stderr, 'write').mockImplementation(chunk => {
+      lines.push(JSON.parse(chunk));
+      return true;
+    });
+
+    let res;
+    try {
+      res = await request(failing).get('/boom').set('X-Request-Id', 'req-500');
+    } finally {
+      jest.restoreAllMocks();
+    }
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toEqual({ code: 'INTERNAL_ERROR', message: 'Internal server error', details: null, upstreamStatus: null });
+    expect(JSON.stringify(res.body)).not.toContain('/srv/app');
+
+    const logged = lines.find(line => line.msg === 'Request failed');
+    expect(logged).toMatchObject({ requestId: 'req-500', code: 'INTERNAL_ERROR', err: { message: expect.stringContaining('/srv/app/data') } });
+  });
+});
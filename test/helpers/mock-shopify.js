@@ -0,0 +1,289 @@
+// test/helpers/mock-shopify.js - Local stand-in for the Shopify Admin REST and GraphQL APIs
+const http = require('http');
+const express = require('express');
+
+const ACCESS_TOKEN = 'shpat_test_token';
+
+// gid://shopify/<type>/<id>
+function gid(type, id) {
+  return `gid://shopify/${type}/${id}`;
+}
+
+/**
+ * Products as a bulk operation JSONL result: one line per product, then one per
+ * variant pointing back at it with __parentId.
+ */
+function toBulkLines(products) {
+  return products.flatMap(product => [
+    {
+      id: gid('Product', product.id),
+      legacyResourceId: String(product.id),
+      title: product.title,
+      handle: product.handle,
+      vendor: product.vendor,
+      productType: product.product_type,
+      status: String(product.status).toUpperCase(),
+      tags: product.tags ? product.tags.split(',').map(tag => tag.trim()) : [],
+      createdAt: product.created_at || product.updated_at,
+      updatedAt: product.updated_at,
+      options: (product.options || []).map((option, i) => ({ name: option.name, position: i + 1 })),
+      featuredImage: product.images && product.images[0] ? { url: product.images[0].src } : null
+    },
+    ...product.variants.map((variant, i) => ({
+      id: gid('ProductVariant', variant.id),
+      legacyResourceId: String(variant.id),
+      title: variant.title,
+      sku: variant.sku,
+      barcode: null,
+      price: variant.price,
+      compareAtPrice: null,
+      position: i + 1,
+      inventoryPolicy: String(variant.inventory_policy).toUpperCase(),
+      inventoryQuantity: variant.inventory_quantity,
+      selectedOptions: [variant.option1, variant.option2, variant.option3]
+        .filter(value => value !== undefined && value !== null)
+        .map((value, position) => ({ name: (product.options[position] || {}).name, value })),
+      inventoryItem: { legacyResourceId: String(variant.inventory_item_id), tracked: variant.inventory_management === 'shopify' },
+      __parentId: gid('Product', product.id)
+    }))
+  ]).map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+/**
+ * Serves products (cursor-paginated with Link headers), product count, shop,
+ * locations, inventory levels (readable and settable) and inventory item costs
+ * (`costs`: inventory_item_id -> cost string). `failNext(path, status, times, headers)` makes
+ * the next calls to a path fail, e.g. with 429 and Retry-After.
+ *
+ * GraphQL bulk operations run over the products: an operation completes after
+ * `state.bulk.pollsUntilDone` status polls, or ends with `state.bulk.failWith`
+ * (e.g. 'FAILED'); `state.bulk.userError` refuses to start one and
+ * `throttleGraphql(times)` answers the next GraphQL calls with THROTTLED.
+ */
+function createMockShopify({ products = [], locations = [], levels = [], costs = {}, pageSize = 250 } = {}) {
+  const state = {
+    products,
+    locations,
+    levels,
+    costs,
+    pageSize,
+    requests: [],
+    failures: [],
+    bulk: { pollsUntilDone: 1, failWith: null, userError: null, operations: [] },
+    graphqlThrottles: 0
+  };
+  const app = express();
+  let server;
+  let baseUrl;
+
+  app.use(express.json());
+
+  // Bulk results are served from signed URLs, without the access token
+  app.get('/bulk/:id.jsonl', (req, res) => {
+    res.type('application/jsonl').send(toBulkLines(state.products));
+  });
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, query: req.query });
+
+    if (req.get('X-Shopify-Access-Token') !== ACCESS_TOKEN) {
+      return res.status(401).json({ errors: '[API] Invalid API key or access token' });
+    }
+
+    const failure = state.failures.find(f => req.path.endsWith(f.path) && f.times > 0);
+    if (failure) {
+      failure.times--;
+      res.set(failure.headers);
+      return res.status(failure.status).json({ errors: 'Mock failure' });
+    }
+
+    next();
+  });
+
+  const api = express.Router();
+
+  api.get('/shop.json', (req, res) => res.json({ shop: { name: 'Mock Shop' } }));
+
+  api.get('/products/count.json', (req, res) => res.json({ count: state.products.length }));
+
+  api.get('/products.json', (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, state.pageSize);
+    const offset = req.query.page_info ? Number(Buffer.from(req.query.page_info, 'base64').toString()) : 0;
+    const updatedAtMin = req.query.updated_at_min ? new Date(req.query.updated_at_min) : null;
+
+    const matching = state.products.filter(product =>
+      !updatedAtMin || new Date(product.updated_at) >= updatedAtMin
+    );
+    const page = matching.slice(offset, offset + limit);
+
+    if (offset + limit < matching.length) {
+      const next = new URL(`${baseUrl}${req.baseUrl}/products.json`);
+      next.searchParams.set('limit', limit);
+      next.searchParams.set('page_info', Buffer.from(String(offset + limit)).toString('base64'));
+      res.set('Link', `<${next}>; rel="next"`);
+    }
+
+    res.json({ products: page });
+  });
+
+  api.get('/locations.json', (req, res) => res.json({ locations: state.locations }));
+
+  api.get('/inventory_levels.json', (req, res) => {
+    const itemIds = String(req.query.inventory_item_ids || '').split(',');
+    const locationIds = req.query.location_ids ? String(req.query.location_ids).split(',') : null;
+
+    res.json({
+      inventory_levels: state.levels.filter(level =>
+        itemIds.includes(String(level.inventory_item_id)) &&
+        (!locationIds || locationIds.includes(String(level.location_id)))
+      )
+    });
+  });
+
+  api.get('/inventory_items.json', (req, res) => {
+    const ids = String(req.query.ids || '').split(',');
+    res.json({
+      inventory_items: ids.filter(id => id in state.costs).map(id => ({ id: Number(id), cost: state.costs[id] }))
+    });
+  });
+
+  api.post('/inventory_levels/set.json', (req, res) => {
+    const { inventory_item_id: itemId, location_id: locationId, available } = req.body;
+    let level = state.levels.find(l =>
+      String(l.inventory_item_id) === String(itemId) && String(l.location_id) === String(locationId)
+    );
+    if (!level) {
+      level = { inventory_item_id: itemId, location_id: locationId };
+      state.levels.push(level);
+    }
+    level.available = available;
+    res.json({ inventory_level: level });
+  });
+
+  api.post('/graphql.json', (req, res) => {
+    const { query, variables = {} } = req.body;
+
+    if (state.graphqlThrottles > 0) {
+      state.graphqlThrottles--;
+      return res.json({
+        errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+        extensions: { cost: { requestedQueryCost: 10, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 0, restoreRate: 500 } } }
+      });
+    }
+
+    if (query.includes('bulkOperationRunQuery')) {
+      if (state.bulk.userError) {
+        return res.json({ data: { bulkOperationRunQuery: { bulkOperation: null, userErrors: [{ field: null, message: state.bulk.userError }] } } });
+      }
+      const operation = { id: gid('BulkOperation', state.bulk.operations.length + 1), status: 'CREATED', polls: 0, query: variables.query };
+      state.bulk.operations.push(operation);
+      return res.json({ data: { bulkOperationRunQuery: { bulkOperation: { id: operation.id, status: operation.status }, userErrors: [] } } });
+    }
+
+    if (query.includes('bulkOperationCancel')) {
+      const operation = state.bulk.operations.find(op => op.id === variables.id);
+      if (operation) operation.status = 'CANCELED';
+      return res.json({ data: { bulkOperationCancel: { userErrors: [] } } });
+    }
+
+    if (query.includes('BulkOperation')) {
+      const operation = state.bulk.operations.find(op => op.id === variables.id);
+      if (!operation) return res.json({ data: { node: null } });
+
+      if (['CREATED', 'RUNNING'].includes(operation.status)) {
+        operation.polls++;
+        operation.status = operation.polls < state.bulk.pollsUntilDone ? 'RUNNING' : (state.bulk.failWith || 'COMPLETED');
+      }
+      const completed = operation.status === 'COMPLETED';
+      const number = operation.id.split('/').pop();
+
+      return res.json({
+        data: {
+          node: {
+            id: operation.id,
+            status: operation.status,
+            errorCode: operation.status === 'FAILED' ? 'INTERNAL_SERVER_ERROR' : null,
+            objectCount: String(state.products.reduce((total, product) => total + 1 + product.variants.length, 0)),
+            url: completed && state.products.length ? `${baseUrl}/bulk/${number}.jsonl` : null
+          }
+        }
+      });
+    }
+
+    res.json({ errors: [{ message: 'Unsupported query in mock' }] });
+  });
+
+  app.use('/admin/api/:version', api);
+
+  return {
+    state,
+    get url() {
+      return baseUrl;
+    },
+    get domain() {
+      return baseUrl.replace(/^https?:\/\//, '');
+    },
+    failNext(path, status, times = 1, headers = {}) {
+      state.failures.push({ path, status, times, headers });
+    },
+    throttleGraphql(times = 1) {
+      state.graphqlThrottles = times;
+    },
+    requestsTo(path) {
+      return state.requests.filter(request => request.path.endsWith(path));
+    },
+    reset() {
+      state.requests = [];
+      state.failures = [];
+      state.bulk = { pollsUntilDone: 1, failWith: null, userError: null, operations: [] };
+      state.graphqlThrottles = 0;
+    },
+    start() {
+      return new Promise(resolve => {
+        server = http.createServer(app).listen(0, '127.0.0.1', () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+    stop() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Minimal Shopify product with one variant per entry of `variants`.
+ */
+function makeProduct(id, title, variants, extra = {}) {
+  return {
+    id,
+    title,
+    handle: title.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    vendor: 'LOFT.73',
+    product_type: 'Top',
+    status: 'active',
+    tags: '',
+    updated_at: '2026-01-01T00:00:00Z',
+    options: [{ name: 'Size' }],
+    variants: variants.map((variant, i) => ({
+      id: id * 100 + i,
+      product_id: id,
+      title: variant.size || 'Default Title',
+      option1: variant.size || 'Default Title',
+      sku: variant.sku,
+      price: variant.price || '49.00',
+      inventory_item_id: id * 1000 + i,
+      inventory_quantity: variant.quantity === undefined ? 5 : variant.quantity,
+      inventory_management: 'shopify',
+      inventory_policy: 'deny'
+    })),
+    ...extra
+  };
+}
+
+module.exports = {
+  createMockShopify,
+  makeProduct,
+  ACCESS_TOKEN
+};
@@ -0,0 +1,34 @@
+const { createInventoryStore } = require('../lib/inventory-store');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('order reservations', () => {
+  beforeEach(() => jest.useFakeTimers({ now: new Date('2026-05-01T10:00:00Z') }));
+  afterEach(() => jest.useRealTimers());
+
+  test('released orders are forgotten after the TTL, open ones are kept', () => {
+    const inventory = createInventoryStore();
+    inventory.reserveOrder({ id: 1, line_items: [{ sku: 'A', quantity: 2 }] });
+    inventory.reserveOrder({ id: 2, line_items: [{ sku: 'A', quantity: 1 }] });
+    inventory.releaseOrder({ id: 1 });
+    // Paid before it was ever reserved
+    inventory.releaseOrder({ id: 3, line_items: [{ sku: 'B', quantity: 1 }] });
+
+    jest.setSystemTime(Date.now() + 47 * HOUR);
+    expect(inventory.pruneReleasedOrders()).toBe(0);
+
+    jest.setSystemTime(Date.now() + 2 * HOUR);
+    expect(inventory.pruneReleasedOrders()).toBe(2);
+    expect(inventory.countOrders()).toBe(1);
+    expect(inventory.listReserved()).toEqual({ A: 1 });
+  });
+
+  test('a late orders/create within the TTL does not reserve a released order', () => {
+    const inventory = createInventoryStore();
+    inventory.releaseOrder({ id: 7, line_items: [{ sku: 'A', quantity: 1 }] });
+
+    jest.setSystemTime(Date.now() + HOUR);
+    expect(inventory.reserveOrder({ id: 7, line_items: [{ sku: 'A', quantity: 1 }] }).changed).toBe(false);
+    expect(inventory.getReserved('A')).toBe(0);
+  });
+});
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const { createMockShopify, makeProduct } = require('./helpers/mock-shopify');
+const { loadApp, cleanup, API_KEY } = require('./helpers/app-env');
+
+const mock = createMockShopify({
+  products: [
+    makeProduct(1, 'Top Seta Nero', [{ sku: 'L73-100-S', size: 'S' }, { sku: 'L73-100-M', size: 'M' }]),
+    makeProduct(2, 'Pantalone Lino', [{ sku: 'L73-200' }])
+  ],
+  locations: [
+    { id: 1, name: 'Magazzino', active: true },
+    { id: 2, name: 'Negozio', active: true },
+    { id: 3, name: 'Vecchio Negozio', active: false }
+  ],
+  levels: [
+    { inventory_item_id: 1000, location_id: 1, available: 2 },
+    { inventory_item_id: 1000, location_id: 2, available: 1 },
+    { inventory_item_id: 1001, location_id: 1, available: null },
+    { inventory_item_id: 1001, location_id: 2, available: 4 },
+    { inventory_item_id: 2000, location_id: 1, available: 5 }
+  ]
+});
+let app;
+let dataDir;
+
+beforeAll(async () => {
+  await mock.start();
+  ({ app, dataDir } = loadApp(mock));
+});
+
+afterAll(async () => {
+  await mock.stop();
+  cleanup(dataDir);
+});
+
+beforeEach(() => mock.reset());
+
+function api(method, path) {
+  return request(app)[method](path).set('X-API-Key', API_KEY);
+}
+
+describe('GET /api/shopify/locations', () => {
+  test('lists every location with its status', async () => {
+    const res = await api('get', '/api/shopify/locations');
+
+    expect(res.status).toBe(200);
+    expect(res.body.locations).toEqual([
+      { id: 1, name: 'Magazzino', active: true },
+      { id: 2, name: 'Negozio', active: true },
+      { id: 3, name: 'Vecchio Negozio', active: false }
+    ]);
+  });
+});
+
+describe('POST /api/shopify/inventory-levels', () => {
+  test('reports stock per active location for SKUs and inventory item ids', async () => {
+    const res = await api('post', '/api/shopify/inventory-levels').send({ skus: ['L73-100-S', 'XX-1'], inventoryItemIds: [2000] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.locations).toEqual([{ id: 1, name: 'Magazzino' }, { id: 2, name: 'Negozio' }]);
+    expect(res.body.unknownSkus).toEqual(['XX-1']);
+    expect(res.body.levels).toEqual([
+      {
+        inventoryItemId: '2000',
+        sku: null,
+        available: 5,
+        locations: [
+          { locationId: 1, locationName: 'Magazzino', available: 5 },
+          { locationId: 2, locationName: 'Negozio', available: 0 }
+        ]
+      },
+      expect.objectContaining({ inventoryItemId: '1000', sku: 'L73-100-S', available: 3 })
+    ]);
+  });
+
+  test('limits the locations by name or id, and rejects unknown ones', async () => {
+    const res = await api('post', '/api/shopify/inventory-levels').send({ skus: ['L73-100-M'], locations: ['negozio'] });
+
+    expect(res.body.levels[0]).toMatchObject({ available: 4, locations: [{ locationId: 2, available: 4 }] });
+    expect(mock.requestsTo('inventory_levels.json')[0].query.location_ids).toBe('2');
+
+    const unknown = await api('post', '/api/shopify/inventory-levels').send({ skus: ['L73-100-M'], locations: ['Vecchio Negozio', 99] });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toMatchObject({ code: 'UNKNOWN_LOCATION', details: { missing: ['vecchio negozio', '99'] } });
+  });
+});
+
+describe('products availability with locations', () => {
+  test('replaces the catalog totals with the stock at the chosen locations', async () => {
+    const res = await api('post', '/api/shopify/products-availability')
+      .send({ products: [{ sku: 'L73-100-M' }, { name: 'Top Seta Nero' }], locations: ['Negozio'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.locations).toEqual([{ id: 2, name: 'Negozio' }]);
+
+    const [variantRow, productRow] = res.body.results;
+    expect(variantRow.available).toBe(4);
+    expect(variantRow.variant).toMatchObject({ quantity: 4, locations: [{ locationId: 2, available: 4 }] });
+    // A product-level match adds up its variants at those locations
+    expect(productRow.available).toBe(5);
+    expect(productRow.variants.map(v => v.quantity)).toEqual([1, 4]);
+  });
+
+  test('locations: true uses every active location', async () => {
+    const res = await api('post', '/api/shopify/products-availability')
+      .send({ products: [{ sku: 'L73-100-S' }], locations: true });
+
+    expect(res.body.locations.map(l => l.name)).toEqual(['Magazzino', 'Negozio']);
+    expect(res.body.results[0].available).toBe(3);
+  });
+});
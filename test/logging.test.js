@@ -0,0 +1,151 @@
+// Info lines are what these tests look at (the other suites only log errors), and
+// the level is read when lib/logger.js loads
+process.env.LOG_LEVEL = 'info';
+
+const request = require('supertest');
+const { createMockShopify, makeProduct, ACCESS_TOKEN } = require('./helpers/mock-shopify');
+const { loadApp, cleanup, API_KEY, WEBHOOK_SECRET } = require('./helpers/app-env');
+const { computeWebhookHmac } = require('../lib/webhook-auth');
+
+const mock = createMockShopify({
+  products: [makeProduct(1, 'LOFT.73 - Top Seta Nero', [{ sku: 'L73-100', quantity: 3 }])]
+});
+let app;
+let dataDir;
+let lines;
+
+beforeAll(async () => {
+  await mock.start();
+  ({ app, dataDir } = loadApp(mock));
+});
+
+afterAll(async () => {
+  await mock.stop();
+  cleanup(dataDir);
+});
+
+beforeEach(() => {
+  lines = [];
+  const capture = chunk => {
+    String(chunk).split('\n').filter(Boolean).forEach(line => lines.push(JSON.parse(line)));
+    return true;
+  };
+  jest.spyOn(process.stdout, 'write').mockImplementation(capture);
+  jest.spyOn(process.stderr, 'write').mockImplementation(capture);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  mock.reset();
+});
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for log line');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+function completed(path) {
+  return lines.find(line => line.msg === 'request completed' && line.path === path);
+}
+
+describe('request ids', () => {
+  test('echoes the caller id and tags every line logged while handling the request', async () => {
+    mock.failNext('shop.json', 503, 1, { 'Retry-After': '0.01' });
+
+    const res = await request(app)
+      .post('/shopify/test')
+      .set('X-API-Key', API_KEY)
+      .set('X-Request-Id', 'dashboard-42')
+      .send({});
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-request-id']).toBe('dashboard-42');
+
+    await waitFor(() => completed('/shopify/test'));
+    const retry = lines.find(line => line.msg === 'Shopify request failed, retrying');
+    expect(retry).toMatchObject({ requestId: 'dashboard-42', status: 503 });
+    expect(completed('/shopify/test')).toMatchObject({ requestId: 'dashboard-42', status: 200, client: 'test' });
+  });
+
+  test('generates an id when the caller sends none or an unusable one', async () => {
+    const res = await request(app)
+      .get('/api/health')
+      .set('X-Request-Id', 'not a valid id');
+
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    await waitFor(() => completed('/api/health'));
+    expect(completed('/api/health').requestId).toBe(res.headers['x-request-id']);
+  });
+});
+
+describe('redaction', () => {
+  test('secret-looking fields are replaced at any depth', () => {
+    const { logger } = require('../lib/logger');
+
+    logger.child({ module: 'test' }).warn('Calling Shopify', {
+      shop: 'loft73.myshopify.com',
+      apiKey: API_KEY,
+      headers: { Authorization: `Bearer ${API_KEY}`, 'X-Shopify-Access-Token': ACCESS_TOKEN },
+      stores: [{ id: 'outlet', webhookSecret: WEBHOOK_SECRET }]
+    });
+
+    const line = lines.find(entry => entry.msg === 'Calling Shopify');
+    expect(line).toMatchObject({
+      module: 'test',
+      shop: 'loft73.myshopify.com',
+      apiKey: '[REDACTED]',
+      headers: { Authorization: '[REDACTED]', 'X-Shopify-Access-Token': '[REDACTED]' },
+      stores: [{ id: 'outlet', webhookSecret: '[REDACTED]' }]
+    });
+    const raw = JSON.stringify(lines);
+    [API_KEY, ACCESS_TOKEN, WEBHOOK_SECRET].forEach(secret => expect(raw).not.toContain(secret));
+  });
+
+  test('request lines leave out the query string, where a stream key may be', async () => {
+    await request(app).get('/metrics?apiKey=leaked-key');
+
+    await waitFor(() => completed('/metrics'));
+    expect(completed('/metrics').status).toBe(401);
+    expect(JSON.stringify(lines)).not.toContain('leaked-key');
+  });
+});
+
+describe('/metrics', () => {
+  test('needs an API key', async () => {
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(401);
+  });
+
+  test('counts webhooks by topic and result', async () => {
+    const body = JSON.stringify({ inventory_item_id: 1000, location_id: 1, available: 2 });
+    const deliver = hmac => request(app)
+      .post('/webhook/inventory')
+      .set('Content-Type', 'application/json')
+      .set('X-Shopify-Topic', 'inventory_levels/update')
+      .set('X-Shopify-Shop-Domain', mock.domain)
+      .set('X-Shopify-Hmac-Sha256', hmac)
+      .send(body);
+
+    await deliver(computeWebhookHmac(WEBHOOK_SECRET, Buffer.from(body)));
+    await deliver('bm90IHRoZSByaWdodCBobWFj');
+
+    const res = await request(app).get('/metrics').set('X-API-Key', API_KEY);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toMatch(/^webhooks_received_total\{topic="inventory_levels\/update",result="processed"\} 1$/m);
+    expect(res.text).toMatch(/^webhooks_received_total\{topic="inventory_levels\/update",result="rejected"\} 1$/m);
+  });
+
+  test('counts Shopify calls by endpoint and status', async () => {
+    await request(app).post('/shopify/test').set('X-API-Key', API_KEY).send({});
+
+    const res = await request(app).get('/metrics').set('X-API-Key', API_KEY);
+
+    expect(res.text).toMatch(/^shopify_api_requests_total\{shop="[^"]+",method="GET",endpoint="shop\.json",status="200"\} \d+$/m);
+  });
+});
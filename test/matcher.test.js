@@ -0,0 +1,148 @@
+const { buildIndex, matchRow, matchRows, normalizeSku, normalizeTitle, traceTitle } = require('../lib/matcher');
+const { compileRules } = require('../lib/normalization');
+const { makeProduct } = require('./helpers/mock-shopify');
+
+const catalog = [
+  makeProduct(1, 'LOFT.73 - Top Seta Nero', [
+    { sku: 'L73-100-S', size: 'S' },
+    { sku: 'L73-100-M', size: 'M' }
+  ]),
+  makeProduct(2, 'LOFT.73 - Pantalone Lino Beige', [{ sku: 'L73-200' }]),
+  makeProduct(3, 'LOFT.73 - Top Seta Bianco', [{ sku: 'L73-300' }]),
+  makeProduct(4, 'LOFT.73 - Top Seta Bianca', [{ sku: 'L73-301' }]),
+  makeProduct(5, 'Camicia Più Bella', [{ sku: 'CB-1' }], { vendor: 'Altro' })
+];
+
+describe('normalization', () => {
+  test('normalizeSku drops separators and case', () => {
+    expect(normalizeSku(' l73-100/s ')).toBe('L73100S');
+  });
+
+  test('normalizeTitle strips the brand prefix and folds accents', () => {
+    expect(normalizeTitle('LOFT73 - Camicia Più Bella')).toBe('camicia piu bella');
+  });
+});
+
+describe('matchRow', () => {
+  const index = buildIndex(catalog);
+
+  test('exact SKU resolves to the variant', () => {
+    const result = matchRow(index, { name: 'Top Seta Nero', sku: 'L73-100-M' });
+
+    expect(result.status).toBe('matched');
+    expect(result.strategy).toBe('sku_exact');
+    expect(result.variant.sku).toBe('L73-100-M');
+    expect(result.confidence).toBe(1);
+  });
+
+  test('SKU with different separators matches as sku_normalized', () => {
+    const result = matchRow(index, { name: '', sku: 'l73 200' });
+
+    expect(result.status).toBe('matched');
+    expect(result.strategy).toBe('sku_normalized');
+    expect(result.product.id).toBe(2);
+  });
+
+  test('product-level SKU matches its variants by prefix without picking one', () => {
+    const result = matchRow(index, { name: '', sku: 'L73-100' });
+
+    expect(result.status).toBe('matched');
+    expect(result.strategy).toBe('sku_prefix');
+    expect(result.product.id).toBe(1);
+    expect(result.variant).toBeNull();
+  });
+
+  test('SKU prefixes only match whole segments, ignoring case', () => {
+    expect(matchRow(index, { name: '', sku: 'l73-100' })).toMatchObject({ strategy: 'sku_prefix', product: { id: 1 } });
+    expect(matchRow(index, { name: '', sku: 'L73-10' }).status).toBe('unmatched');
+  });
+
+  test('title without SKU matches exactly after normalization', () => {
+    const result = matchRow(index, { name: 'camicia piu bella', sku: '' });
+
+    expect(result.status).toBe('matched');
+    expect(result.strategy).toBe('title_exact');
+    expect(result.product.id).toBe(5);
+  });
+
+  test('near-identical titles of different products are ambiguous', () => {
+    const result = matchRow(index, { name: 'Top Seta Bianc', sku: '' });
+
+    expect(result.status).not.toBe('matched');
+  });
+
+  test('short generic titles do not match', () => {
+    const result = matchRow(index, { name: 'Top', sku: '' });
+
+    expect(result.status).toBe('unmatched');
+    expect(result.product).toBeNull();
+  });
+
+  test('candidates explain the decision', () => {
+    const result = matchRow(index, { name: 'Top Seta', sku: 'L73-300' });
+
+    expect(result.candidates[0]).toMatchObject({ productId: 3, sku: 'L73-300', strategy: 'sku_exact' });
+  });
+});
+
+describe('matchRows', () => {
+  test('splits rows into matched, ambiguous and unmatched', async () => {
+    const rows = [
+      { name: 'Top Seta Nero', sku: 'L73-100-S' },
+      { name: 'Top Seta Bianc', sku: '' },
+      { name: 'Giacca', sku: 'NOPE' }
+    ];
+
+    const { matched, ambiguous, unmatched } = await matchRows(catalog, rows);
+
+    expect(matched.map(r => r.rowIndex)).toEqual([0]);
+    expect(ambiguous.length + unmatched.length).toBe(2);
+    expect(unmatched.map(r => r.rowIndex)).toContain(2);
+  });
+});
+
+describe('normalization rules', () => {
+  const rules = compileRules({
+    default: {
+      replacements: [{ pattern: '\\s*-\\s*TU$' }, { pattern: 'taglia\\s+\\w+' }],
+      synonyms: { nero: ['black', 'noir'], 'blu notte': ['navy'] },
+      stopwords: ['di', 'in']
+    },
+    vendors: {
+      Altro: { replacements: [{ pattern: '^ALT\\s+' }] }
+    },
+    stores: {
+      outlet: { foldAccents: false, vendors: { altro: { stopwords: ['bella'] } } }
+    }
+  });
+
+  test('applies replacements, synonyms and stopwords in order', () => {
+    const { normalized, steps } = traceTitle('Top in Seta Black - TU', [], rules.resolve('main', 'LOFT.73'));
+
+    expect(normalized).toBe('top seta nero');
+    expect(steps.map(step => step.step)).toEqual(['brandPrefixes', 'replacements', 'foldAccents', 'synonyms', 'stopwords']);
+    expect(normalizeTitle('Pantalone Navy Taglia M', [], rules.resolve('main', null))).toBe('pantalone blu notte');
+  });
+
+  test('layers vendor and store sections over the defaults', () => {
+    expect(normalizeTitle('ALT Camicia Più Bella', [], rules.resolve('main', 'Altro'))).toBe('camicia piu bella');
+    expect(normalizeTitle('ALT Camicia Più Bella', [], rules.resolve('main', 'LOFT.73'))).toBe('alt camicia piu bella');
+    expect(normalizeTitle('ALT Camicia Più Bella', [], rules.resolve('outlet', 'ALTRO'))).toBe('camicia più');
+  });
+
+  test('are used for both catalog titles and CSV rows', () => {
+    const index = buildIndex(catalog, { rulesForVendor: vendor => rules.resolve('main', vendor) });
+    const result = matchRow(index, { name: 'Top di Seta Noir - TU', sku: '' });
+
+    expect(result.status).toBe('matched');
+    expect(result.strategy).toBe('title_exact');
+    expect(result.product.id).toBe(1);
+  });
+
+  test('reject invalid regular expressions with the offending field', () => {
+    expect(() => compileRules({ vendors: { Altro: { replacements: [{ pattern: '(' }] } } })).toThrow(
+      expect.objectContaining({ status: 400, details: [expect.objectContaining({ field: 'vendors.Altro.replacements[0].pattern' })] })
+    );
+    expect(() => compileRules({ default: { synonyms: { nero: 'black' } } })).toThrow(/default.synonyms.nero/);
+  });
+});
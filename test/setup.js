@@ -0,0 +1,8 @@
+// Keep test output readable: only errors from the app's logger
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+// The mock shop finishes bulk operations right away; don't wait seconds between polls
+process.env.BULK_POLL_SECONDS = '0.005';
+
+// Batch inventory webhook refreshes over a short window, so tests don't wait a second
+process.env.STOCK_REFRESH_DELAY_MS = '10';
@@ -0,0 +1,65 @@
+const { createShopifyClient, ShopifyApiError, parseNextLink, parseCallLimit } = require('../lib/shopify-client');
+const { createMockShopify, makeProduct, ACCESS_TOKEN } = require('./helpers/mock-shopify');
+
+const products = Array.from({ length: 5 }, (_, i) => makeProduct(i + 1, `Product ${i + 1}`, [{ sku: `SKU-${i + 1}` }]));
+const mock = createMockShopify({ products, pageSize: 2 });
+let client;
+
+beforeAll(async () => {
+  await mock.start();
+  client = createShopifyClient({ storeUrl: mock.url, accessToken: ACCESS_TOKEN, apiVersion: '2024-01' });
+});
+
+afterAll(() => mock.stop());
+
+beforeEach(() => mock.reset());
+
+describe('pagination', () => {
+  test('getAll follows Link rel=next until the last page', async () => {
+    const pages = [];
+    const all = await client.getAll('products.json', 'products', {}, ({ page, total }) => pages.push([page, total]));
+
+    expect(all.map(p => p.id)).toEqual([1, 2, 3, 4, 5]);
+    expect(pages).toEqual([[1, 2], [2, 4], [3, 5]]);
+    expect(mock.requestsTo('products.json')).toHaveLength(3);
+  });
+
+  test('parseNextLink picks the next cursor out of a Link header', () => {
+    const header = '<https://x/products.json?page_info=a>; rel="previous", <https://x/products.json?page_info=b>; rel="next"';
+    expect(parseNextLink(header)).toBe('https://x/products.json?page_info=b');
+    expect(parseNextLink(null)).toBeNull();
+  });
+});
+
+describe('rate limits and errors', () => {
+  test('retries a 429 after Retry-After', async () => {
+    mock.failNext('shop.json', 429, 2, { 'Retry-After': '0.05' });
+
+    const data = await client.get('shop.json');
+
+    expect(data.shop.name).toBe('Mock Shop');
+    expect(mock.requestsTo('shop.json')).toHaveLength(3);
+  });
+
+  test('gives up after repeated 5xx and reports the status', async () => {
+    mock.failNext('shop.json', 503, 10, { 'Retry-After': '0.01' });
+
+    await expect(client.get('shop.json')).rejects.toMatchObject({ name: 'ShopifyApiError', status: 503 });
+    expect(mock.requestsTo('shop.json')).toHaveLength(5);
+  });
+
+  test('does not retry a bad token', async () => {
+    const badClient = createShopifyClient({ storeUrl: mock.url, accessToken: 'wrong' });
+
+    const error = await badClient.get('shop.json').catch(e => e);
+
+    expect(error).toBeInstanceOf(ShopifyApiError);
+    expect(error.status).toBe(401);
+    expect(mock.requestsTo('shop.json')).toHaveLength(1);
+  });
+
+  test('parseCallLimit reads the leaky bucket header', () => {
+    expect(parseCallLimit('32/40')).toEqual({ used: 32, limit: 40 });
+    expect(parseCallLimit(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { createMockShopify, makeProduct } = require('./helpers/mock-shopify');
+const { loadApp, cleanup, API_KEY } = require('./helpers/app-env');
+
+const mock = createMockShopify({
+  products: [
+    makeProduct(1, 'Top Seta Nero', [{ sku: 'L73-100-S', size: 'S', quantity: 3 }, { sku: 'L73-100-M', size: 'M', quantity: 2 }]),
+    makeProduct(2, 'Pantalone Lino', [{ sku: 'L73-200', quantity: 4 }])
+  ]
+});
+let app;
+let dataDir;
+
+beforeAll(async () => {
+  await mock.start();
+  ({ app, dataDir } = loadApp(mock));
+});
+
+afterAll(async () => {
+  await mock.stop();
+  cleanup(dataDir);
+});
+
+function api(method, path) {
+  return request(app)[method](path).set('X-API-Key', API_KEY);
+}
+
+test('diff and history need at least two snapshots', async () => {
+  const first = await api('post', '/api/snapshots');
+  expect(first.status).toBe(201);
+  expect(first.body.snapshot).toMatchObject({ products: 2, variants: 3, units: 9, baseline: true });
+
+  const diff = await api('get', '/api/snapshots/diff');
+  expect(diff.status).toBe(404);
+});
+
+test('records quantity changes, added and removed products between snapshots', async () => {
+  const [top] = mock.state.products;
+  top.variants[0].inventory_quantity = 0;
+  top.variants[1].inventory_quantity = 5;
+  mock.state.products = [top, makeProduct(3, 'Gonna Plissé', [{ sku: 'L73-300', quantity: 1 }])];
+
+  const second = await api('post', '/api/snapshots');
+  expect(second.body.snapshot).toMatchObject({ baseline: false, changes: 4 });
+
+  const list = await api('get', '/api/snapshots');
+  expect(list.body.snapshots).toHaveLength(2);
+
+  const diff = await api('get', '/api/snapshots/diff');
+  expect(diff.body.addedProducts.map(p => p.productId)).toEqual([3]);
+  expect(diff.body.removedProducts.map(p => p.productId)).toEqual([2]);
+  expect(diff.body.changes.map(c => [c.sku, c.from, c.to])).toEqual([
+    ['L73-200', 4, null],
+    ['L73-100-S', 3, 0],
+    ['L73-300', null, 1],
+    ['L73-100-M', 2, 5]
+  ]);
+  expect(diff.body.summary).toMatchObject({ unitsIn: 4, unitsOut: 7, net: -3, soldOut: 1 });
+});
+
+test('history tells when a SKU sold out', async () => {
+  const res = await api('get', '/api/snapshots/history?sku=L73-100-S');
+
+  expect(res.status).toBe(200);
+  expect(res.body.changes).toHaveLength(1);
+  expect(res.body.soldOutAt).toBe(res.body.changes[0].at);
+  expect(res.body.current.variants).toEqual([{ variantId: 100, sku: 'L73-100-S', quantity: 0 }]);
+  expect(res.body.movement).toEqual({ unitsIn: 0, unitsOut: 3, net: -3 });
+});
+
+test('history by product covers all its variants', async () => {
+  const res = await api('get', '/api/snapshots/history?productId=1');
+
+  expect(res.body.changes.map(c => c.sku).sort()).toEqual(['L73-100-M', 'L73-100-S']);
+  expect(res.body.movement.net).toBe(0);
+});
+
+test('history requires a sku or product', async () => {
+  expect((await api('get', '/api/snapshots/history')).status).toBe(400);
+});
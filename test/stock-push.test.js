@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createMockShopify, makeProduct } = require('./helpers/mock-shopify');
+const { loadApp, cleanup, API_KEY, OTHER_API_KEY } = require('./helpers/app-env');
+
+const products = [
+  makeProduct(1, 'Top Seta Nero', [{ sku: 'L73-100-S', size: 'S' }, { sku: 'L73-100-M', size: 'M' }]),
+  makeProduct(2, 'Pantalone Lino', [{ sku: 'L73-200' }])
+];
+const mock = createMockShopify({
+  products,
+  locations: [{ id: 1, name: 'Magazzino', active: true }, { id: 2, name: 'Negozio', active: true }]
+});
+let app;
+let dataDir;
+
+beforeAll(async () => {
+  await mock.start();
+  ({ app, dataDir } = loadApp(mock));
+});
+
+afterAll(async () => {
+  await mock.stop();
+  cleanup(dataDir);
+});
+
+beforeEach(() => {
+  mock.reset();
+  mock.state.levels = [
+    { inventory_item_id: 1000, location_id: 1, available: 3 },
+    { inventory_item_id: 1001, location_id: 1, available: 0 },
+    { inventory_item_id: 2000, location_id: 1, available: 4 }
+  ];
+});
+
+function api(method, url) {
+  return request(app)[method](url).set('X-API-Key', API_KEY);
+}
+
+function setCalls() {
+  return mock.requestsTo('inventory_levels/set.json');
+}
+
+function readAuditFile() {
+  const file = path.join(dataDir, 'audit.jsonl');
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line)) : [];
+}
+
+async function plan(rows) {
+  const res = await api('post', '/api/shopify/inventory/plan').send({ rows, location: 'Magazzino' });
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+describe('dry run', () => {
+  test('lists changes, unchanged and skipped rows without writing anything', async () => {
+    const body = await plan([
+      { sku: 'L73-100-S', quantity: 5 },
+      { sku: 'L73-200', quantity: 4 },
+      { sku: 'L73-100-M', quantity: 'tanti' },
+      { sku: 'XX-1', quantity: 1 }
+    ]);
+
+    expect(body.dryRun).toBe(true);
+    expect(body.plan.status).toBe('pending');
+    expect(body.plan.changes).toEqual([
+      expect.objectContaining({ sku: 'L73-100-S', locationId: 1, current: 3, target: 5, delta: 2 })
+    ]);
+    expect(body.plan.unchanged.map(entry => entry.sku)).toEqual(['L73-200']);
+    expect(body.plan.skipped.map(entry => entry.rowIndex).sort()).toEqual([2, 3]);
+    expect(body.applyUrl).toBe(`/api/shopify/inventory/plan/${body.plan.id}/apply`);
+    expect(setCalls()).toHaveLength(0);
+  });
+});
+
+describe('apply', () => {
+  test('sets the quantities and audits each change', async () => {
+    const { plan: created, applyUrl } = await plan([{ sku: 'L73-100-S', quantity: 5 }, { sku: 'L73-100-M', quantity: 2 }]);
+    const before = readAuditFile().length;
+
+    const res = await api('post', applyUrl).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, conflicts: [], failed: [] });
+    expect(res.body.applied.map(change => change.sku)).toEqual(['L73-100-S', 'L73-100-M']);
+    expect(setCalls()).toHaveLength(2);
+    expect(mock.state.levels.find(level => level.inventory_item_id === 1000).available).toBe(5);
+
+    const entries = readAuditFile().slice(before);
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: 'test', store: 'default', planId: created.id, sku: 'L73-100-S',
+        inventoryItemId: 1000, locationId: 1, previous: 3, target: 5, result: 'applied'
+      }),
+      expect.objectContaining({ sku: 'L73-100-M', previous: 0, target: 2, result: 'applied' })
+    ]);
+
+    const trail = await api('get', '/api/shopify/inventory/audit?sku=L73-100-S&limit=1');
+    expect(trail.body.entries).toEqual([expect.objectContaining({ planId: created.id, result: 'applied' })]);
+  });
+
+  test('leaves quantities that moved since the dry run alone and audits the conflict', async () => {
+    const { plan: created, applyUrl } = await plan([{ sku: 'L73-100-S', quantity: 5 }]);
+    mock.state.levels[0].available = 2;
+    const before = readAuditFile().length;
+
+    const res = await api('post', applyUrl).send({});
+
+    expect(res.body.applied).toEqual([]);
+    expect(res.body.conflicts).toEqual([expect.objectContaining({ sku: 'L73-100-S', current: 3, live: 2 })]);
+    expect(setCalls()).toHaveLength(0);
+    expect(mock.state.levels[0].available).toBe(2);
+    expect(readAuditFile().slice(before)).toEqual([
+      expect.objectContaining({ planId: created.id, previous: 2, expected: 3, target: 5, result: 'conflict' })
+    ]);
+  });
+
+  test('overwrites moved quantities with force', async () => {
+    const { applyUrl } = await plan([{ sku: 'L73-100-S', quantity: 5 }]);
+    mock.state.levels[0].available = 2;
+
+    const res = await api('post', applyUrl).send({ force: true });
+
+    expect(res.body.conflicts).toEqual([]);
+    expect(res.body.applied).toHaveLength(1);
+    expect(mock.state.levels[0].available).toBe(5);
+    expect(readAuditFile().pop()).toMatchObject({ previous: 2, target: 5, result: 'applied' });
+  });
+
+  test('reports a failed set call and keeps going', async () => {
+    const { applyUrl } = await plan([{ sku: 'L73-100-S', quantity: 5 }, { sku: 'L73-200', quantity: 1 }]);
+    mock.failNext('inventory_levels/set.json', 422);
+
+    const res = await api('post', applyUrl).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(false);
+    expect(res.body.failed).toEqual([expect.objectContaining({ sku: 'L73-100-S', upstreamStatus: 422 })]);
+    expect(res.body.applied.map(change => change.sku)).toEqual(['L73-200']);
+    expect(readAuditFile().slice(-2).map(entry => [entry.sku, entry.result])).toEqual([
+      ['L73-100-S', 'failed'],
+      ['L73-200', 'applied']
+    ]);
+  });
+
+  test('keeps going when the audit file cannot be written', async () => {
+    const { applyUrl } = await plan([{ sku: 'L73-100-S', quantity: 5 }]);
+    const file = path.join(dataDir, 'audit.jsonl');
+    fs.appendFileSync(file, '');
+    fs.renameSync(file, `${file}.bak`);
+    fs.mkdirSync(file);
+
+    try {
+      const res = await api('post', applyUrl).send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, auditFailures: 1 });
+      expect(res.body.applied).toHaveLength(1);
+      expect(mock.state.levels[0].available).toBe(5);
+    } finally {
+      fs.rmdirSync(file);
+      fs.renameSync(`${file}.bak`, file);
+    }
+  });
+
+  test('plans are only visible to the API key that created them', async () => {
+    const { plan: created, applyUrl } = await plan([{ sku: 'L73-100-S', quantity: 5 }]);
+    const other = (method, url) => request(app)[method](url).set('X-API-Key', OTHER_API_KEY);
+
+    expect((await other('get', `/api/shopify/inventory/plan/${created.id}`)).status).toBe(404);
+    expect((await other('post', applyUrl).send({})).status).toBe(404);
+    expect(setCalls()).toHaveLength(0);
+
+    expect((await api('post', applyUrl).send({})).status).toBe(200);
+  });
+
+  test('rejects a second confirmation', async () => {
+    const { plan: created, applyUrl } = await plan([{ sku: 'L73-100-S', quantity: 5 }]);
+    expect((await api('post', applyUrl).send({})).status).toBe(200);
+
+    const again = await api('post', applyUrl).send({});
+
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('CONFLICT');
+    expect(setCalls()).toHaveLength(1);
+    expect((await api('get', `/api/shopify/inventory/plan/${created.id}`)).body.plan.status).toBe('applied');
+  });
+});
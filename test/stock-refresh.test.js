@@ -0,0 +1,58 @@
+const { scheduleStockRefresh } = require('../lib/stock-refresh');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+function level(available) {
+  return [{ inventory_item_id: 1000, location_id: 1, available }];
+}
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a slow response from an earlier refresh does not overwrite a newer total', async () => {
+  const responses = [deferred(), deferred()];
+  const calls = [];
+  const store = {
+    id: 'out-of-order',
+    client: {
+      getAll: jest.fn(() => {
+        calls.push(responses[calls.length]);
+        return calls[calls.length - 1].promise;
+      })
+    }
+  };
+  const results = [];
+
+  scheduleStockRefresh(store, 1000, total => results.push(['first', total]));
+  await tick(30);
+  scheduleStockRefresh(store, 1000, total => results.push(['second', total]));
+  await tick(30);
+  expect(store.client.getAll).toHaveBeenCalledTimes(2);
+
+  responses[1].resolve(level(7));
+  await tick(0);
+  responses[0].resolve(level(3));
+  await tick(0);
+
+  expect(results).toEqual([['second', 7]]);
+});
+
+test('a result is dropped when the item changed again while it was fetched', async () => {
+  const response = deferred();
+  const store = { id: 'changed-again', client: { getAll: jest.fn(() => response.promise) } };
+  const results = [];
+
+  scheduleStockRefresh(store, 1000, total => results.push(['first', total]));
+  await tick(30);
+  scheduleStockRefresh(store, 1000, total => results.push(['second', total]));
+  response.resolve(level(3));
+  await tick(30);
+
+  expect(results).toEqual([['second', 3]]);
+  expect(store.client.getAll).toHaveBeenCalledTimes(2);
+});
@@ -0,0 +1,159 @@
+const http = require('http');
+const request = require('supertest');
+const { computeWebhookHmac } = require('../lib/webhook-auth');
+const { createMockShopify, makeProduct } = require('./helpers/mock-shopify');
+const { loadApp, cleanup, API_KEY, WEBHOOK_SECRET } = require('./helpers/app-env');
+
+const product = makeProduct(1, 'Top Seta Nero', [
+  { sku: 'L73-100-S', size: 'S', quantity: 2 },
+  { sku: 'L73-100-M', size: 'M', quantity: 4 }
+]);
+const other = makeProduct(2, 'Borsa Paglia', [{ sku: 'BP-1', quantity: 9 }], { vendor: 'Altro' });
+const mock = createMockShopify({ products: [product, other] });
+let app;
+let dataDir;
+let server;
+let baseUrl;
+let deliveries = 0;
+const streams = [];
+
+beforeAll(async () => {
+  await mock.start();
+  ({ app, dataDir } = loadApp(mock));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(() => {
+  streams.splice(0).forEach(stream => stream.close());
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await mock.stop();
+  cleanup(dataDir);
+});
+
+function deliver(path, topic, payload) {
+  const body = JSON.stringify(payload);
+  return request(app)
+    .post(path)
+    .set('Content-Type', 'application/json')
+    .set('X-Shopify-Topic', topic)
+    .set('X-Shopify-Shop-Domain', mock.domain)
+    .set('X-Shopify-Webhook-Id', `stream-delivery-${++deliveries}`)
+    .set('X-Shopify-Hmac-Sha256', computeWebhookHmac(WEBHOOK_SECRET, Buffer.from(body)))
+    .send(body);
+}
+
+/**
+ * Connects to the stream and parses events as they arrive into `stream.events`.
+ */
+function openStream(query = '', headers = { 'X-API-Key': API_KEY }) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}/api/stock/stream${query}`, { headers }, res => {
+      const stream = { status: res.statusCode, headers: res.headers, events: [], close: () => req.destroy() };
+      streams.push(stream);
+
+      let pending = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        pending += chunk;
+        const frames = pending.split('\n\n');
+        pending = frames.pop();
+        frames.forEach(frame => {
+          const fields = {};
+          frame.split('\n').forEach(line => {
+            const separator = line.indexOf(': ');
+            if (separator > 0) fields[line.slice(0, separator)] = line.slice(separator + 2);
+          });
+          if (fields.event) stream.events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+        });
+      });
+      res.on('error', () => {});
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+async function waitFor(stream, predicate) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const found = stream.events.filter(predicate);
+    if (found.length) return found;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Event not received, got: ${JSON.stringify(stream.events)}`);
+}
+
+const stockEvents = stream => stream.events.filter(event => event.type === 'stock').map(event => event.data);
+
+describe('stock stream', () => {
+  test('needs an API key, in a header or as ?apiKey=', async () => {
+    expect((await openStream('', {})).status).toBe(401);
+
+    const stream = await openStream(`?apiKey=${API_KEY}`);
+    expect(stream.status).toBe(200);
+    expect(stream.headers['content-type']).toMatch(/text\/event-stream/);
+    await waitFor(stream, event => event.type === 'ready');
+  });
+
+  test('streams deltas of the subscribed SKUs only', async () => {
+    await deliver('/webhook/products', 'products/update', product);
+    const stream = await openStream('?skus=L73-100-M');
+    await waitFor(stream, event => event.type === 'ready');
+
+    const level = { inventory_item_id: 1001, location_id: 1, available: 7, updated_at: '2026-03-01T10:00:00Z' };
+    await deliver('/webhook/inventory', 'inventory_levels/update', { ...level, inventory_item_id: 1000 });
+    await deliver('/webhook/inventory', 'inventory_levels/update', level);
+    await deliver('/webhook/inventory', 'inventory_levels/update', { ...level, available: 5, updated_at: '2026-03-01T11:00:00Z' });
+
+    await waitFor(stream, event => event.type === 'stock' && event.data.available === 5);
+    expect(stockEvents(stream).map(({ at, ...delta }) => delta)).toEqual([
+      { store: 'default', source: 'inventory', sku: 'L73-100-M', variantId: 101, productId: 1, vendor: 'LOFT.73', inventoryItemId: '1001', locationId: '1', available: 7 },
+      { store: 'default', source: 'inventory', sku: 'L73-100-M', variantId: 101, productId: 1, vendor: 'LOFT.73', inventoryItemId: '1001', locationId: '1', available: 5, delta: -2 }
+    ]);
+  });
+
+  test('streams product and order changes of the subscribed vendors', async () => {
+    await deliver('/webhook/products', 'products/update', other);
+    const stream = await openStream('?vendors=altro');
+    await waitFor(stream, event => event.type === 'ready');
+
+    const restocked = { ...other, updated_at: '2026-03-02T00:00:00Z', variants: [{ ...other.variants[0], inventory_quantity: 12 }] };
+    await deliver('/webhook/products', 'products/update', restocked);
+    await deliver('/webhook/orders', 'orders/create', { id: 9001, line_items: [{ sku: 'BP-1', quantity: 2 }, { sku: 'L73-100-S', quantity: 1 }] });
+    await deliver('/webhook/orders', 'orders/paid', { id: 9001, line_items: [] });
+
+    await waitFor(stream, event => event.type === 'stock' && event.data.reservedDelta === -2);
+    expect(stockEvents(stream)).toEqual([
+      expect.objectContaining({ source: 'product', sku: 'BP-1', available: 12, delta: 3 }),
+      expect.objectContaining({ source: 'order', sku: 'BP-1', orderId: 9001, reserved: 2, reservedDelta: 2 }),
+      expect.objectContaining({ source: 'order', sku: 'BP-1', orderId: 9001, reserved: 0, reservedDelta: -2 })
+    ]);
+  });
+
+  test('catches up from Last-Event-ID after a reconnect', async () => {
+    const first = await openStream('?vendors=Altro');
+    const [ready] = await waitFor(first, event => event.type === 'ready');
+    first.close();
+
+    await deliver('/webhook/products', 'products/delete', { id: 2 });
+
+    const resumed = await openStream('?vendors=Altro', { 'X-API-Key': API_KEY, 'Last-Event-ID': ready.id });
+    const [resumedReady] = await waitFor(resumed, event => event.type === 'ready');
+    expect(resumedReady.data).toMatchObject({ replayed: 1, reset: null });
+    expect(stockEvents(resumed)).toEqual([
+      expect.objectContaining({ source: 'product', sku: 'BP-1', removed: true, delta: -12 })
+    ]);
+  });
+
+  test('tells clients with an unknown Last-Event-ID to reload', async () => {
+    const stream = await openStream('?lastEventId=old-42');
+    const [ready] = await waitFor(stream, event => event.type === 'ready');
+
+    expect(ready.data).toMatchObject({ replayed: 0, reset: 'restarted' });
+    expect(ready.id).toBe(ready.data.lastEventId);
+  });
+});
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const { computeWebhookHmac } = require('../lib/webhook-auth');
+const { createMockShopify, makeProduct, ACCESS_TOKEN } = require('./helpers/mock-shopify');
+const { loadApp, cleanup, API_KEY, WEBHOOK_SECRET } = require('./helpers/app-env');
+
+const OUTLET_SECRET = 'outlet-webhook-secret';
+
+const main = createMockShopify({
+  products: [
+    makeProduct(1, 'LOFT.73 - Top Seta Nero', [{ sku: 'L73-100', quantity: 3 }]),
+    makeProduct(2, 'LOFT.73 - Pantalone Lino', [{ sku: 'L73-200', quantity: 4 }])
+  ]
+});
+const outlet = createMockShopify({
+  products: [makeProduct(7, 'LOFT.73 - Top Seta Nero', [{ sku: 'L73-100', quantity: 8 }])]
+});
+let app;
+let dataDir;
+let deliveries = 0;
+
+beforeAll(async () => {
+  await main.start();
+  await outlet.start();
+  ({ app, dataDir } = loadApp(main, {
+    SHOPIFY_STORES: JSON.stringify({
+      outlet: { name: 'Outlet', storeUrl: outlet.url, accessToken: ACCESS_TOKEN, webhookSecret: OUTLET_SECRET }
+    })
+  }));
+});
+
+afterAll(async () => {
+  await main.stop();
+  await outlet.stop();
+  cleanup(dataDir);
+});
+
+function api(method, path) {
+  return request(app)[method](path).set('X-API-Key', API_KEY);
+}
+
+function deliver(domain, secret, product) {
+  const body = JSON.stringify(product);
+  return request(app)
+    .post('/webhook/products')
+    .set('Content-Type', 'application/json')
+    .set('X-Shopify-Topic', 'products/update')
+    .set('X-Shopify-Shop-Domain', domain)
+    .set('X-Shopify-Webhook-Id', `stores-${++deliveries}`)
+    .set('X-Shopify-Hmac-Sha256', computeWebhookHmac(secret, Buffer.from(body)))
+    .send(body);
+}
+
+describe('store registry', () => {
+  test('lists the configured stores without credentials', async () => {
+    const res = await api('get', '/api/stores');
+
+    expect(res.body.stores.map(store => store.id)).toEqual(['default', 'outlet']);
+    expect(JSON.stringify(res.body)).not.toContain(ACCESS_TOKEN);
+    expect(JSON.stringify(res.body)).not.toContain(OUTLET_SECRET);
+  });
+
+  test('a single store is picked with store=', async () => {
+    const res = await api('post', '/api/shopify/products-availability?store=outlet').send({ products: [{ sku: 'L73-100' }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results[0]).toMatchObject({ available: 8, product: { id: 7 } });
+    expect(outlet.requestsTo('products.json').length).toBeGreaterThan(0);
+  });
+
+  test('an unknown store is a 404', async () => {
+    const res = await api('post', '/api/shopify/products-availability').send({ store: 'nope', products: [{ sku: 'L73-100' }] });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.message).toMatch(/Unknown store: nope/);
+  });
+});
+
+describe('cross-store comparison', () => {
+  test('reports the stock of every row per store', async () => {
+    const res = await api('post', '/api/shopify/products-availability')
+      .send({ stores: ['default', 'outlet'], products: [{ sku: 'L73-100' }, { sku: 'L73-200' }, { sku: 'XX-1' }] });
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.stores)).toEqual(['default', 'outlet']);
+    expect(res.body.comparison).toEqual([
+      expect.objectContaining({
+        rowIndex: 0,
+        csvSku: 'L73-100',
+        stores: {
+          default: expect.objectContaining({ status: 'matched', available: 3, productId: 1 }),
+          outlet: expect.objectContaining({ status: 'matched', available: 8, productId: 7 })
+        },
+        totalAvailable: 11
+      }),
+      expect.objectContaining({
+        rowIndex: 1,
+        stores: {
+          default: expect.objectContaining({ status: 'matched', available: 4 }),
+          outlet: expect.objectContaining({ status: 'unmatched', available: null })
+        },
+        totalAvailable: 4
+      }),
+      expect.objectContaining({ rowIndex: 2, totalAvailable: 0 })
+    ]);
+  });
+
+  test('takes the stores as a comma-separated query parameter, JSON only', async () => {
+    const res = await api('post', '/api/shopify/products-availability?stores=default,outlet').send({ products: [{ sku: 'L73-100' }] });
+    expect(res.body.comparison[0].totalAvailable).toBe(11);
+
+    const exported = await api('post', '/api/shopify/products-availability?stores=default,outlet&format=csv')
+      .send({ products: [{ sku: 'L73-100' }] });
+    expect(exported.status).toBe(400);
+  });
+});
+
+describe('webhook routing', () => {
+  test('each shop domain is verified with its own secret and updates its own catalog', async () => {
+    const product = makeProduct(9, 'Borsa Outlet', [{ sku: 'OUT-9' }], { updated_at: '2026-06-01T00:00:00Z' });
+
+    expect((await deliver(outlet.domain, OUTLET_SECRET, product)).status).toBe(200);
+
+    const inOutlet = await api('get', '/catalog/products?store=outlet&sku=OUT-9');
+    const inMain = await api('get', '/catalog/products?sku=OUT-9');
+    expect(inOutlet.body.count).toBe(1);
+    expect(inMain.body.count).toBe(0);
+  });
+
+  test("another store's secret is rejected", async () => {
+    const product = makeProduct(10, 'Borsa', [{ sku: 'OUT-10' }]);
+
+    expect((await deliver(outlet.domain, WEBHOOK_SECRET, product)).status).toBe(401);
+    expect((await deliver(main.domain, OUTLET_SECRET, product)).status).toBe(401);
+  });
+
+  test('an unknown shop domain is a 401 UNKNOWN_SHOP', async () => {
+    const res = await deliver('other.myshopify.com', OUTLET_SECRET, makeProduct(11, 'Borsa', []));
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('UNKNOWN_SHOP');
+  });
+});
@@ -0,0 +1,191 @@
+const request = require('supertest');
+const { computeWebhookHmac } = require('../lib/webhook-auth');
+const { createMockShopify, makeProduct } = require('./helpers/mock-shopify');
+const { loadApp, cleanup, API_KEY, WEBHOOK_SECRET } = require('./helpers/app-env');
+
+const product = makeProduct(1, 'Top Seta Nero', [{ sku: 'L73-100-S', size: 'S' }, { sku: 'L73-100-M', size: 'M' }]);
+const mock = createMockShopify({
+  products: [product],
+  levels: [{ inventory_item_id: 1000, location_id: 1, available: 0 }]
+});
+let app;
+let dataDir;
+let deliveries = 0;
+
+beforeAll(async () => {
+  await mock.start();
+  ({ app, dataDir } = loadApp(mock));
+});
+
+afterAll(async () => {
+  await mock.stop();
+  cleanup(dataDir);
+});
+
+function deliver(path, topic, payload, { secret = WEBHOOK_SECRET, webhookId, domain = mock.domain } = {}) {
+  const body = JSON.stringify(payload);
+  return request(app)
+    .post(path)
+    .set('Content-Type', 'application/json')
+    .set('X-Shopify-Topic', topic)
+    .set('X-Shopify-Shop-Domain', domain)
+    .set('X-Shopify-Webhook-Id', webhookId || `delivery-${++deliveries}`)
+    .set('X-Shopify-Hmac-Sha256', computeWebhookHmac(secret, Buffer.from(body)))
+    .send(body);
+}
+
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 40 && !condition(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect(condition()).toBe(true);
+}
+
+function dashboard(path) {
+  return request(app).get(path).set('X-API-Key', API_KEY);
+}
+
+describe('signature checks', () => {
+  test('rejects a payload signed with the wrong secret', async () => {
+    const res = await deliver('/webhook/products', 'products/update', product, { secret: 'nope' });
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects deliveries from an unknown shop', async () => {
+    const res = await deliver('/webhook/products', 'products/update', product, { domain: 'other.myshopify.com' });
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects unsigned deliveries', async () => {
+    const res = await request(app)
+      .post('/webhook/inventory')
+      .set('X-Shopify-Topic', 'inventory_levels/update')
+      .set('X-Shopify-Shop-Domain', mock.domain)
+      .send({ inventory_item_id: 1000, location_id: 1, available: 3 });
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('catalog and stock', () => {
+  test('products/update adds the product to the local catalog', async () => {
+    const res = await deliver('/webhook/products', 'products/update', product);
+    expect(res.status).toBe(200);
+
+    const catalog = await dashboard('/catalog/products?sku=L73-100-M');
+    expect(catalog.body.products.map(p => p.id)).toEqual([1]);
+  });
+
+  test('inventory_levels/update updates the stock record of the linked variant', async () => {
+    await deliver('/webhook/inventory', 'inventory_levels/update', {
+      inventory_item_id: 1001,
+      location_id: 1,
+      available: 7,
+      updated_at: '2026-02-01T10:00:00Z'
+    });
+
+    const res = await dashboard('/inventory/stock?sku=L73-100-M');
+    expect(res.body.records).toHaveLength(1);
+    expect(res.body.records[0]).toMatchObject({ inventoryItemId: '1001', sku: 'L73-100-M', available: 7 });
+  });
+
+  test('an older update does not overwrite newer stock', async () => {
+    await deliver('/webhook/inventory', 'inventory_levels/update', {
+      inventory_item_id: 1001,
+      location_id: 1,
+      available: 2,
+      updated_at: '2026-01-01T10:00:00Z'
+    });
+
+    const res = await dashboard('/inventory/stock/1001');
+    expect(res.body.record.available).toBe(7);
+  });
+
+  test('inventory_levels/update keeps the cached variant total current', async () => {
+    const quantityOf = async () => {
+      const res = await dashboard('/catalog/products?sku=L73-100-M');
+      return res.body.products[0].variants.find(v => v.sku === 'L73-100-M').inventory_quantity;
+    };
+    const payload = { inventory_item_id: 1001, location_id: 1, available: 4, updated_at: '2026-02-15T10:00:00Z' };
+
+    // Without the Shopify total, the location's change (7 -> 4) is applied to the cached 5
+    mock.failNext('inventory_levels.json', 404);
+    const calls = mock.requestsTo('inventory_levels.json').length;
+    await deliver('/webhook/inventory', 'inventory_levels/update', payload);
+    expect(await quantityOf()).toBe(2);
+    await waitFor(() => mock.requestsTo('inventory_levels.json').length > calls);
+
+    mock.state.levels.push(
+      { inventory_item_id: 1001, location_id: 1, available: 4 },
+      { inventory_item_id: 1001, location_id: 2, available: 5 }
+    );
+    await deliver('/webhook/inventory', 'inventory_levels/update', { ...payload, updated_at: '2026-02-16T10:00:00Z' });
+
+    // The exact total across locations is fetched after the webhook is answered
+    let quantity;
+    for (let attempt = 0; attempt < 20 && quantity !== 9; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+      quantity = await quantityOf();
+    }
+    expect(quantity).toBe(9);
+  });
+
+  test('a burst of inventory webhooks is refreshed with one Shopify call', async () => {
+    const calls = mock.requestsTo('inventory_levels.json').length;
+    await Promise.all([1000, 1001].map((itemId, i) => deliver('/webhook/inventory', 'inventory_levels/update', {
+      inventory_item_id: itemId, location_id: 2, available: i, updated_at: '2026-02-20T10:00:00Z'
+    })));
+
+    await waitFor(() => mock.requestsTo('inventory_levels.json').length > calls);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const batched = mock.requestsTo('inventory_levels.json').slice(calls);
+    expect(batched).toHaveLength(1);
+    expect(batched[0].query.inventory_item_ids.split(',').sort()).toEqual(['1000', '1001']);
+  });
+
+  test('orders reserve stock on create and release it on cancel', async () => {
+    const order = { id: 555, line_items: [{ sku: 'L73-100-S', quantity: 2 }] };
+
+    await deliver('/webhook/orders', 'orders/create', order);
+    let res = await dashboard('/inventory/reserved');
+    expect(res.body.reserved['L73-100-S']).toBe(2);
+
+    await deliver('/webhook/orders', 'orders/cancelled', order);
+    res = await dashboard('/inventory/reserved');
+    expect(res.body.reserved['L73-100-S'] || 0).toBe(0);
+  });
+});
+
+describe('delivery tracking', () => {
+  test('a retried delivery is processed once', async () => {
+    const payload = { inventory_item_id: 1001, location_id: 1, available: 6, updated_at: '2026-03-01T10:00:00Z' };
+
+    const first = await deliver('/webhook/inventory', 'inventory_levels/update', payload, { webhookId: 'retry-1' });
+    const second = await deliver('/webhook/inventory', 'inventory_levels/update', payload, { webhookId: 'retry-1' });
+
+    expect(first.body.duplicate).toBeUndefined();
+    expect(second.body.duplicate).toBe(true);
+
+    const status = await dashboard('/webhook-status');
+    const stats = status.body.webhooks.inventory.topics['inventory_levels/update'];
+    expect(stats.duplicates).toBe(1);
+    expect(stats.processed).toBeGreaterThanOrEqual(2);
+  });
+
+  test('sold-out items show up as out-of-stock alerts', async () => {
+    await deliver('/webhook/inventory', 'inventory_levels/update', {
+      inventory_item_id: 1000,
+      location_id: 1,
+      available: 0,
+      updated_at: '2026-03-01T10:00:00Z'
+    });
+
+    // Alerts are evaluated after the webhook is answered
+    let alerts = [];
+    for (let attempt = 0; attempt < 20 && !alerts.length; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+      alerts = (await dashboard('/alerts/low-stock')).body.alerts;
+    }
+
+    expect(alerts).toEqual([expect.objectContaining({ sku: 'L73-100-S', level: 'out', quantity: 0 })]);
+  });
+});